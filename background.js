@@ -1,7 +1,13 @@
 const browserAPI = typeof chrome !== 'undefined' ? chrome : browser;
 
+importScripts('zip.js', 'blobstore.js', 'filename.js', 'settings.js');
+
 const SUPPORTED_URLS = ['chatgpt.com', 'claude.ai', 'poe.com'];
-const WINDOW_SIZE = 4;
+const MAX_WORKERS = 4;
+const NATIVE_HOST_NAME = 'com.aichatdl.native_host';
+const NATIVE_CHUNK_SIZE = 256 * 1024;
+const BATCH_JOB_KEY = 'batchJob';
+const OFFSCREEN_URL = 'offscreen.html';
 
 browserAPI.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete') {
@@ -13,27 +19,26 @@ browserAPI.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 
-function sanitizeFilename(title) {
-  return title
-    .replace(/[<>:"/\\|?*\x00-\x1f]/g, '')
-    .replace(/\s+/g, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '')
-    .substring(0, 60) || 'Untitled';
-}
 
-function waitForTabLoad(tabId) {
+function waitForTabLoad(tabId, timeoutMs) {
   return new Promise(resolve => {
+    const timeout = setTimeout(done, timeoutMs);
+    function done() {
+      clearTimeout(timeout);
+      browserAPI.tabs.onUpdated.removeListener(listener);
+      resolve();
+    }
     function listener(id, changeInfo) {
-      if (id === tabId && changeInfo.status === 'complete') {
-        browserAPI.tabs.onUpdated.removeListener(listener);
-        setTimeout(resolve, 2000);
-      }
+      if (id === tabId && changeInfo.status === 'complete') done();
     }
     browserAPI.tabs.onUpdated.addListener(listener);
   });
 }
 
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 function reportProgress(current, total, title, status, error) {
   browserAPI.runtime.sendMessage({
     action: 'batchProgress',
@@ -42,75 +47,715 @@ function reportProgress(current, total, title, status, error) {
   }).catch(() => {});
 }
 
-async function extractSingleChat(tabId, chat, format, index, total) {
-  const dirName = sanitizeFilename(chat.title);
-  const fileExt = { markdown: 'md', html: 'html', plaintext: 'txt' }[format] || 'md';
-  const fileName = `${dirName}.${fileExt}`;
+function sendTabMessage(tabId, message, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Extraction timed out')), timeoutMs);
+    browserAPI.tabs.sendMessage(tabId, message, resp => {
+      clearTimeout(timeout);
+      if (browserAPI.runtime.lastError) {
+        reject(new Error(browserAPI.runtime.lastError.message));
+      } else {
+        resolve(resp);
+      }
+    });
+  });
+}
 
-  reportProgress(index + 1, total, chat.title, 'navigating');
+// Retries while the content script of a freshly loaded page is not injected yet
+async function sendWhenInjected(tabId, message, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (true) {
+    try {
+      return await sendTabMessage(tabId, message, Math.max(deadline - Date.now(), 0) + 5000);
+    } catch (err) {
+      if (Date.now() >= deadline || !/Receiving end|establish connection/.test(err.message)) throw err;
+      await delay(250);
+    }
+  }
+}
 
+// Resolves once the conversation's messages have rendered, instead of sleeping a fixed time
+async function waitForConversation(tabId, timeoutMs) {
   try {
-    await browserAPI.tabs.update(tabId, { url: chat.url });
-    await waitForTabLoad(tabId);
-
-    const response = await new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => reject(new Error('Extraction timed out')), 60000);
-      browserAPI.tabs.sendMessage(tabId, {
-        action: 'extract',
-        format,
-        batchDownload: true,
-        fileName
-      }, resp => {
-        clearTimeout(timeout);
-        if (browserAPI.runtime.lastError) {
-          reject(new Error(browserAPI.runtime.lastError.message));
-        } else {
-          resolve(resp);
-        }
+    return await sendWhenInjected(tabId, { action: 'waitForReady', timeout: timeoutMs }, timeoutMs);
+  } catch (e) {
+    return { ready: false };
+  }
+}
+
+// Native messaging port; requests carry an id that the host echoes back, and the
+// output directory from the settings when one is set
+function createNativeHost(baseDir) {
+  const port = browserAPI.runtime.connectNative(NATIVE_HOST_NAME);
+  const pending = new Map();
+  let nextId = 0;
+  let disconnectError = null;
+
+  port.onMessage.addListener(msg => {
+    const entry = pending.get(msg.id);
+    if (!entry) return;
+    pending.delete(msg.id);
+    entry.resolve(msg);
+  });
+
+  port.onDisconnect.addListener(() => {
+    const lastError = browserAPI.runtime.lastError || port.error;
+    disconnectError = new Error(lastError?.message || 'Native host disconnected');
+    pending.forEach(entry => entry.reject(disconnectError));
+    pending.clear();
+  });
+
+  return {
+    request(msg) {
+      if (disconnectError) return Promise.reject(disconnectError);
+      return new Promise((resolve, reject) => {
+        const id = ++nextId;
+        pending.set(id, { resolve, reject });
+        port.postMessage({ ...msg, id, ...(baseDir ? { baseDir } : {}) });
       });
+    },
+    disconnect() {
+      port.disconnect();
+    }
+  };
+}
+
+// Resolves to null when the host is not installed, so callers can fall back to downloads
+async function openNativeHost(baseDir) {
+  let host;
+  try {
+    host = createNativeHost(baseDir);
+    const timeout = new Promise((_, reject) => setTimeout(() => reject(new Error('Native host timed out')), 5000));
+    await Promise.race([host.request({ action: 'ping' }), timeout]);
+    return host;
+  } catch (e) {
+    if (host) {
+      try { host.disconnect(); } catch (err) {}
+    }
+    return null;
+  }
+}
+
+async function saveToNativeHost(host, dirName, fileName, content, encoding = 'utf8') {
+  let response;
+  let offset = 0;
+  do {
+    const data = content.slice(offset, offset + NATIVE_CHUNK_SIZE);
+    offset += NATIVE_CHUNK_SIZE;
+    response = await host.request({
+      action: 'writeChunk',
+      dirName,
+      fileName,
+      data,
+      encoding,
+      final: offset >= content.length
     });
+    if (!response.success) throw new Error(response.error || 'Native host write failed');
+  } while (offset < content.length);
+  return response.path;
+}
 
-    if (response && response.downloadInitiated) {
-      reportProgress(index + 1, total, chat.title, 'done');
-      return { title: chat.title, success: true, messageCount: response.messageCount };
-    } else {
+// Full-text search over the transcripts the native host has saved
+async function searchArchive(query) {
+  const settings = await loadSettings();
+  const host = await openNativeHost(settings.outputDir);
+  if (!host) throw new Error('Search needs the native host (see native-host/install.sh)');
+  try {
+    const response = await host.request({ action: 'search', query });
+    if (!response.success) throw new Error(response.error || 'Search failed');
+    return { total: response.total, results: response.results };
+  } finally {
+    host.disconnect();
+  }
+}
+
+// HTML exports waiting to be rendered by print.html (single PDFs) are handed over through storage
+async function createPrintJob(job) {
+  const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  await browserAPI.storage.local.set({ [`printJob:${id}`]: job });
+  return id;
+}
+
+async function openPrintView(html, fileName, title) {
+  const id = await createPrintJob({ html, fileName, title });
+  await browserAPI.tabs.create({ url: browserAPI.runtime.getURL(`print.html?id=${id}`) });
+}
+
+function sendDebuggerCommand(target, method, params = {}) {
+  return new Promise((resolve, reject) => {
+    browserAPI.debugger.sendCommand(target, method, params, result => {
+      if (browserAPI.runtime.lastError) reject(new Error(browserAPI.runtime.lastError.message));
+      else resolve(result);
+    });
+  });
+}
+
+function attachDebugger(target) {
+  return new Promise((resolve, reject) => {
+    browserAPI.debugger.attach(target, '1.3', () => {
+      if (browserAPI.runtime.lastError) reject(new Error(browserAPI.runtime.lastError.message));
+      else resolve();
+    });
+  });
+}
+
+const PDF_HEADER_TEMPLATE = '<div style="width:100%;margin:0 14mm;display:flex;justify-content:space-between;font-size:8px;color:#555"><span class="title"></span><span class="date"></span></div>';
+const PDF_FOOTER_TEMPLATE = '<div style="width:100%;text-align:center;font-size:8px;color:#555">Page <span class="pageNumber"></span> of <span class="totalPages"></span></div>';
+
+// Batches cannot stop at a print dialog, so the HTML export is loaded into a blank tab and printed
+// through the DevTools protocol (optional debugger permission, requested by the popup).
+// The page header shows the export's <title>, which is the conversation title.
+async function renderPdf(context, html) {
+  if (!browserAPI.debugger) throw new Error('PDF batches need the debugger permission');
+
+  const printCss = await (await fetch(browserAPI.runtime.getURL('print.css'))).text();
+  const page = html.replace('</head>', `<style>${printCss}</style>\n</head>`);
+  const tab = await browserAPI.tabs.create({ windowId: context.windowId, url: 'about:blank', active: false });
+  const target = { tabId: tab.id };
+
+  try {
+    await attachDebugger(target);
+    const { frameTree } = await sendDebuggerCommand(target, 'Page.getFrameTree');
+    await sendDebuggerCommand(target, 'Page.setDocumentContent', { frameId: frameTree.frame.id, html: page });
+    await sendDebuggerCommand(target, 'Runtime.evaluate', {
+      expression: 'Promise.all(Array.from(document.images).map(img => img.decode().catch(() => {})))',
+      awaitPromise: true
+    });
+    const { data } = await sendDebuggerCommand(target, 'Page.printToPDF', {
+      printBackground: true,
+      preferCSSPageSize: true,
+      displayHeaderFooter: true,
+      headerTemplate: PDF_HEADER_TEMPLATE,
+      footerTemplate: PDF_FOOTER_TEMPLATE
+    });
+    return data;
+  } finally {
+    browserAPI.debugger.detach(target, () => void browserAPI.runtime.lastError);
+    await closeTab(tab.id);
+  }
+}
+
+// Sync manifest in extension storage, keyed by chat URL
+async function loadSyncManifest() {
+  const { syncManifest } = await browserAPI.storage.local.get('syncManifest');
+  return syncManifest || {};
+}
+
+function saveSyncManifest(manifest) {
+  return browserAPI.storage.local.set({ syncManifest: manifest });
+}
+
+function isUnchanged(entry, format, messageCount, updatedAt) {
+  if (!entry || entry.format !== format) return false;
+  if (updatedAt && entry.updatedAt && entry.updatedAt !== updatedAt) return false;
+  if (messageCount !== undefined && entry.messageCount !== messageCount) return false;
+  return Boolean(updatedAt && entry.updatedAt) || messageCount !== undefined;
+}
+
+// Without the native host we cannot look at disk, so trust the manifest
+async function isStillArchived(host, entry) {
+  if (!host) return true;
+  try {
+    const response = await host.request({ action: 'checkExists', dirName: entry.dirName, fileName: entry.fileName });
+    return Boolean(response.success && response.exists);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Writes one chat to the batch destination: the ZIP being built, the native host or browser downloads
+async function saveChatFiles(tabId, context, dirName, fileName, response) {
+  const assets = response.assets || [];
+
+  const encoding = response.encoding || 'utf8';
+
+  // Entries stay strings so they can be kept in extension storage until the archive is built
+  if (context.zipFiles) {
+    context.zipFiles.push({ path: `${dirName}/${fileName}`, data: response.content, encoding });
+    assets.forEach(asset => {
+      context.zipFiles.push({ path: `${dirName}/${asset.path}`, data: asset.data, encoding: asset.encoding });
+    });
+    return undefined;
+  }
+
+  if (context.host) {
+    for (const asset of assets) {
+      await saveToNativeHost(context.host, dirName, asset.path, asset.data, asset.encoding);
+    }
+    return saveToNativeHost(context.host, dirName, fileName, response.content, encoding);
+  }
+
+  await sendTabMessage(tabId, {
+    action: 'download',
+    content: response.content,
+    encoding,
+    ...(response.mimeType ? { mimeType: response.mimeType } : {}),
+    fileName
+  }, 60000);
+  for (const asset of assets) {
+    await sendTabMessage(tabId, {
+      action: 'download',
+      content: asset.data,
+      encoding: asset.encoding,
+      mimeType: 'application/octet-stream',
+      fileName: asset.path
+    }, 60000);
+  }
+  return undefined;
+}
+
+async function ensureOffscreenDocument() {
+  const contexts = await browserAPI.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length) return;
+  await browserAPI.offscreen.createDocument({
+    url: OFFSCREEN_URL,
+    reasons: ['BLOBS'],
+    justification: 'Give the batch ZIP a blob: URL to download'
+  });
+}
+
+async function closeOffscreenDocument() {
+  try {
+    await browserAPI.offscreen.closeDocument();
+  } catch (e) {}
+}
+
+// Resolves when the download has finished, so its blob: URL is not revoked while still being read
+function waitForDownload(downloadId) {
+  return new Promise((resolve, reject) => {
+    function listener(delta) {
+      if (delta.id !== downloadId || !delta.state) return;
+      if (delta.state.current === 'in_progress') return;
+      browserAPI.downloads.onChanged.removeListener(listener);
+      if (delta.state.current === 'complete') resolve();
+      else reject(new Error(`Download ${delta.error ? delta.error.current : 'interrupted'}`));
+    }
+    browserAPI.downloads.onChanged.addListener(listener);
+  });
+}
+
+// Service workers cannot create blob: URLs, and messaging the archive to a page would hit the
+// 64 MiB message limit, so the Blob goes through IndexedDB to an offscreen document instead
+async function downloadBlob(blob, fileName) {
+  const key = `download:${Date.now().toString(36)}`;
+  await putStoredBlob(key, blob);
+  await ensureOffscreenDocument();
+  try {
+    const response = await browserAPI.runtime.sendMessage({ target: 'offscreen', action: 'createBlobUrl', key });
+    if (!response || !response.url) throw new Error(response?.error || 'Could not prepare the download');
+    const downloadId = await browserAPI.downloads.download({ url: response.url, filename: fileName });
+    await waitForDownload(downloadId);
+  } finally {
+    await closeOffscreenDocument();
+  }
+}
+
+async function downloadZip(zipFiles, results) {
+  const files = zipFiles.map(file => ({
+    path: file.path,
+    data: file.encoding === 'base64' ? base64ToBytes(file.data) : file.data
+  }));
+  const archive = await createZip([...files, { path: 'index.md', data: buildZipIndex(results) }]);
+  const fileName = `ai-chats-${new Date().toISOString().slice(0, 10)}.zip`;
+  await downloadBlob(archive, fileName);
+  return fileName;
+}
+
+// ZIP archives and the native host get an assets/ folder per chat; plain downloads cannot
+// create folders, so their assets are prefixed with the transcript name once it is chosen
+function getAssetPrefix(context) {
+  return context.zipFiles || context.host ? 'assets/' : ASSET_PREFIX_PLACEHOLDER;
+}
+
+// Names the chat from the template and keeps it unique within the batch. With the native host
+// names archived by earlier runs are taken too, except this chat's own, which it overwrites.
+function reserveChatName(context, chat, nameValues) {
+  const name = dedupeFilename(applyFilenameTemplate(context.fileNameTemplate, nameValues), key => {
+    const owner = context.takenNames.get(key);
+    return owner !== undefined && owner !== chat.url;
+  });
+  context.takenNames.set(name.toLowerCase(), chat.url);
+  return context.zipFiles || context.host ? name : flattenFilename(name);
+}
+
+async function extractSingleChat(tabId, chat, format, index, total, context) {
+  const { host, sync, includeBranches, externalAssets, manifest, settings } = context;
+  const fileExt = { markdown: 'md', html: 'html', plaintext: 'txt', json: 'json', pdf: 'pdf' }[format] || 'md';
+  const entry = manifest[chat.url];
+
+  // Chat lists that carry an update time let us skip without opening the chat at all
+  if (sync && isUnchanged(entry, format, undefined, chat.updatedAt) && await isStillArchived(host, entry)) {
+    reportProgress(index + 1, total, chat.title, 'skipped');
+    return { title: chat.title, success: true, status: 'skipped', messageCount: entry.messageCount };
+  }
+
+  reportProgress(index + 1, total, chat.title, 'navigating');
+
+  try {
+    await browserAPI.tabs.update(tabId, { url: chat.url });
+    await waitForTabLoad(tabId, settings.loadTimeout * 1000);
+    await waitForConversation(tabId, settings.readyTimeout * 1000);
+
+    const response = await sendTabMessage(tabId, {
+      action: 'extract',
+      format,
+      returnContent: true,
+      includeBranches,
+      externalAssets: Boolean(context.zipFiles || externalAssets),
+      assetPrefix: getAssetPrefix(context)
+    }, settings.extractTimeout * 1000);
+
+    if (!response || !response.content) {
       const errorMsg = response?.error || 'No content extracted';
       reportProgress(index + 1, total, chat.title, 'error', errorMsg);
       return { title: chat.title, success: false, error: errorMsg };
     }
+
+    const updatedAt = chat.updatedAt || response.updatedAt;
+    if (sync && isUnchanged(entry, format, response.messageCount, updatedAt) && await isStillArchived(host, entry)) {
+      reportProgress(index + 1, total, chat.title, 'skipped');
+      return { title: chat.title, success: true, status: 'skipped', messageCount: response.messageCount };
+    }
+
+    // DOM-scraped chats only know the page title, so the chat list fills in title and id
+    const { nameValues } = response;
+    const dirName = reserveChatName(context, chat, {
+      ...nameValues,
+      title: nameValues.id ? nameValues.title : chat.title,
+      id: nameValues.id || chat.id
+    });
+    const fileName = `${dirName.split('/').pop()}.${fileExt}`;
+    const resolved = resolveAssetPrefix(response.content, response.assets || [], `${dirName}-`);
+    const output = format === 'pdf'
+      ? { content: await renderPdf(context, resolved.content), encoding: 'base64', mimeType: 'application/pdf' }
+      : { content: resolved.content };
+    const path = await saveChatFiles(tabId, context, dirName, fileName, { ...response, ...output, assets: resolved.files });
+
+    manifest[chat.url] = {
+      title: chat.title,
+      format,
+      dirName,
+      fileName,
+      messageCount: response.messageCount,
+      ...(updatedAt ? { updatedAt } : {}),
+      savedAt: new Date().toISOString()
+    };
+    await saveSyncManifest(manifest);
+
+    reportProgress(index + 1, total, chat.title, 'done');
+    return {
+      title: chat.title,
+      success: true,
+      status: entry ? 'updated' : 'new',
+      url: chat.url,
+      file: `${dirName}/${fileName}`,
+      dirName,
+      messageCount: response.messageCount,
+      ...(response.redaction ? { redactions: response.redaction.total } : {}),
+      ...(path ? { path } : {})
+    };
   } catch (err) {
     reportProgress(index + 1, total, chat.title, 'error', err.message);
     return { title: chat.title, success: false, error: err.message };
   }
 }
 
-async function batchExtract(tabId, chats, format) {
-  const results = [];
+// --- Batch jobs ---
+// The queue and per-chat status live in storage.local, so a job survives the popup closing,
+// the service worker being suspended and browser restarts. Items are pending, new, updated,
+// skipped or error. ZIP entries are stored per item until the job is cancelled or replaced by
+// the next one, so retrying failed chats rebuilds the archive with every chat in it.
+
+let batchRun = null;
+let batchJobQueue = Promise.resolve();
+
+async function loadBatchJob() {
+  const { [BATCH_JOB_KEY]: job } = await browserAPI.storage.local.get(BATCH_JOB_KEY);
+  return job || null;
+}
+
+// Serializes read-modify-write cycles so pause/cancel requests never race the runner
+function updateBatchJob(mutate) {
+  const update = batchJobQueue.then(async () => {
+    const job = await loadBatchJob();
+    if (!job) return null;
+    mutate(job);
+    job.updatedAt = new Date().toISOString();
+    await browserAPI.storage.local.set({ [BATCH_JOB_KEY]: job });
+    return job;
+  });
+  batchJobQueue = update.catch(() => {});
+  return update;
+}
+
+function zipEntriesKey(jobId, index) {
+  return `batchZip:${jobId}:${index}`;
+}
+
+function removeZipEntries(job) {
+  return browserAPI.storage.local.remove(job.items.map((item, index) => zipEntriesKey(job.id, index)));
+}
+
+function summarizeBatchJob(job) {
+  if (!job) return null;
+  const counts = {};
+  job.items.forEach(item => {
+    counts[item.status] = (counts[item.status] || 0) + 1;
+  });
+  return {
+    id: job.id,
+    status: job.status,
+    format: job.format,
+    total: job.items.length,
+    processed: job.items.length - (counts.pending || 0),
+    counts,
+    results: job.items.filter(item => item.result).map(item => item.result),
+    ...(job.destination ? { destination: job.destination } : {}),
+    ...(job.archive ? { archive: job.archive } : {}),
+    ...(job.error ? { error: job.error } : {})
+  };
+}
+
+function broadcastBatchJob(action, job) {
+  browserAPI.runtime.sendMessage({ action, job: summarizeBatchJob(job) }).catch(() => {});
+}
+
+// Batches run in a window of their own so the user's tabs stay free. Its first tab is kept
+// as a placeholder, since closing a window's last tab closes the window.
+async function ensureBatchWindow(job) {
+  if (job.windowId !== undefined) {
+    try {
+      await browserAPI.windows.get(job.windowId);
+      return job.windowId;
+    } catch (e) {}
+  }
+  const batchWindow = await browserAPI.windows.create({ url: 'about:blank', focused: false, width: 1000, height: 800 });
+  await updateBatchJob(current => { current.windowId = batchWindow.id; });
+  return batchWindow.id;
+}
+
+async function closeBatchWindow(job) {
+  if (job.windowId === undefined) return;
+  try {
+    await browserAPI.windows.remove(job.windowId);
+  } catch (e) {}
+}
+
+async function closeTab(tabId) {
+  try {
+    await browserAPI.tabs.remove(tabId);
+  } catch (e) {}
+}
+
+async function startBatchJob(chats, format, options = {}) {
+  const previous = await loadBatchJob();
+  if (previous && (previous.status === 'running' || previous.status === 'paused')) {
+    return { error: 'A batch is already in progress. Resume or cancel it first.', job: summarizeBatchJob(previous) };
+  }
+  if (previous) await removeZipEntries(previous);
 
-  for (let windowStart = 0; windowStart < chats.length; windowStart += WINDOW_SIZE) {
-    const windowEnd = Math.min(windowStart + WINDOW_SIZE, chats.length);
+  const job = {
+    id: Date.now().toString(36),
+    status: 'running',
+    format,
+    options,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    items: chats.map(chat => ({ chat, status: 'pending' }))
+  };
+  await browserAPI.storage.local.set({ [BATCH_JOB_KEY]: job });
+  runBatchJob();
+  return { started: true, job: summarizeBatchJob(job) };
+}
 
-    for (let i = windowStart; i < windowEnd; i++) {
-      const result = await extractSingleChat(tabId, chats[i], format, i, chats.length);
-      results.push(result);
+function runBatchJob() {
+  if (!batchRun) {
+    batchRun = processBatchJob()
+      .catch(err => updateBatchJob(job => {
+        job.status = 'paused';
+        job.error = `Batch stopped: ${err.message}`;
+      }).then(job => broadcastBatchJob('batchState', job)))
+      .finally(() => {
+        batchRun = null;
+        // A new job may have been started while a cancelled one was finishing its last chat
+        loadBatchJob().then(job => {
+          if (job && job.status === 'running') runBatchJob();
+        });
+      });
+  }
+  return batchRun;
+}
+
+async function processBatchJob() {
+  let job = await loadBatchJob();
+  if (!job || job.status !== 'running') return;
+
+  const jobId = job.id;
+  const { options } = job;
+  const zip = options.output === 'zip';
+  const settings = await loadSettings();
+  const host = zip ? null : await openNativeHost(settings.outputDir);
+  const manifest = await loadSyncManifest();
+  const context = {
+    host,
+    zip,
+    sync: Boolean(options.sync),
+    includeBranches: Boolean(options.includeBranches),
+    externalAssets: Boolean(options.externalAssets),
+    fileNameTemplate: options.fileNameTemplate || settings.fileNameTemplate,
+    takenNames: collectTakenNames(job, host ? manifest : {}),
+    manifest,
+    settings
+  };
+  job = await updateBatchJob(current => {
+    current.destination = zip ? 'zip' : host ? 'nativeHost' : 'downloads';
+    delete current.error;
+  });
+
+  try {
+    const windowId = await ensureBatchWindow(job);
+    context.windowId = windowId;
+    const workerCount = Math.min(Math.max(parseInt(options.workers, 10) || settings.workers, 1), MAX_WORKERS);
+    const claimed = new Set();
+    await Promise.all(Array.from({ length: workerCount }, () => runBatchWorker(jobId, windowId, context, claimed)));
+
+    job = await loadBatchJob();
+    if (job && job.id === jobId && job.status === 'running' && !job.items.some(item => item.status === 'pending')) {
+      await finishBatchJob(job);
     }
+  } finally {
+    if (host) host.disconnect();
+  }
+}
+
+// Names already used by this job (it may be resuming) and by chats archived on disk, lowercased
+function collectTakenNames(job, manifest) {
+  const taken = new Map();
+  Object.entries(manifest).forEach(([url, entry]) => {
+    if (entry.dirName) taken.set(entry.dirName.toLowerCase(), url);
+  });
+  job.items.forEach(item => {
+    if (item.result && item.result.dirName) taken.set(item.result.dirName.toLowerCase(), item.result.url);
+  });
+  return taken;
+}
+
+// Each worker owns one tab and pulls pending chats until the queue is empty or the job stops
+async function runBatchWorker(jobId, windowId, context, claimed) {
+  let tabId = null;
+  let processed = 0;
+
+  try {
+    while (true) {
+      // Re-read every round to pick up pause and cancel requests from the popup
+      const job = await loadBatchJob();
+      if (!job || job.id !== jobId || job.status !== 'running') return;
+      const index = job.items.findIndex((item, i) => item.status === 'pending' && !claimed.has(i));
+      if (index === -1) return;
+      claimed.add(index);
+
+      // A fresh tab every windowSize chats frees the memory the chat pages hold on to
+      if (tabId !== null && processed % context.settings.windowSize === 0) {
+        await closeTab(tabId);
+        tabId = null;
+      }
+      if (tabId === null) {
+        tabId = (await browserAPI.tabs.create({ windowId, url: 'about:blank', active: false })).id;
+      }
+
+      const itemContext = { ...context, zipFiles: context.zip ? [] : null };
+      const result = await extractSingleChat(tabId, job.items[index].chat, job.format, index, job.items.length, itemContext);
+      if (itemContext.zipFiles && itemContext.zipFiles.length) {
+        await browserAPI.storage.local.set({ [zipEntriesKey(jobId, index)]: itemContext.zipFiles });
+      }
 
-    // Reload tab between windows to free memory
-    if (windowEnd < chats.length) {
-      try {
-        await browserAPI.tabs.update(tabId, { url: 'https://chatgpt.com/' });
-        await waitForTabLoad(tabId);
-      } catch (e) {}
+      await updateBatchJob(current => {
+        if (current.id !== jobId || current.status === 'cancelled') return;
+        current.items[index].status = result.success ? result.status : 'error';
+        current.items[index].result = result;
+      });
+      processed++;
     }
+  } finally {
+    if (tabId !== null) await closeTab(tabId);
   }
+}
 
-  return results;
+async function finishBatchJob(job) {
+  let archive;
+  let error;
+
+  if (job.options.output === 'zip') {
+    const keys = job.items.map((item, index) => zipEntriesKey(job.id, index));
+    const stored = await browserAPI.storage.local.get(keys);
+    const zipFiles = keys.flatMap(key => stored[key] || []);
+    const results = job.items.filter(item => item.result && item.result.success).map(item => item.result);
+    try {
+      if (zipFiles.length) archive = await downloadZip(zipFiles, results);
+    } catch (err) {
+      error = `Could not build ZIP: ${err.message}`;
+    }
+  }
+
+  await closeBatchWindow(job);
+  // A cancel that arrived while the archive was being built wins
+  const finished = await updateBatchJob(current => {
+    if (current.id !== job.id || current.status === 'cancelled') return;
+    current.status = 'done';
+    delete current.windowId;
+    if (archive) current.archive = archive;
+    if (error) current.error = error;
+  });
+  if (!finished || finished.id !== job.id || finished.status !== 'done') return;
+  broadcastBatchJob('batchComplete', finished);
 }
 
+async function controlBatchJob(action) {
+  let job;
+  if (action === 'pauseBatch') {
+    job = await updateBatchJob(current => {
+      if (current.status === 'running') current.status = 'paused';
+    });
+  } else if (action === 'resumeBatch') {
+    job = await updateBatchJob(current => {
+      if (current.status === 'paused') current.status = 'running';
+    });
+    runBatchJob();
+  } else if (action === 'cancelBatch') {
+    job = await updateBatchJob(current => {
+      if (current.status === 'running' || current.status === 'paused') current.status = 'cancelled';
+    });
+    if (job) {
+      await removeZipEntries(job);
+      await closeBatchWindow(job);
+    }
+  } else if (action === 'retryFailedBatch') {
+    // A cancelled job keeps the chats the user stopped as pending, and its ZIP entries are gone
+    job = await updateBatchJob(current => {
+      const failed = current.items.filter(item => item.status === 'error');
+      if (!failed.length || current.status === 'running' || current.status === 'cancelled') return;
+      failed.forEach(item => {
+        item.status = 'pending';
+        delete item.result;
+      });
+      current.status = 'running';
+      delete current.archive;
+    });
+    if (job && job.status === 'running') runBatchJob();
+  }
+  broadcastBatchJob('batchState', job);
+  return { job: summarizeBatchJob(job) };
+}
+
+// A job that was running when the worker or browser stopped picks up where it left off
+loadBatchJob().then(job => {
+  if (job && job.status === 'running') runBatchJob();
+});
+
 browserAPI.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === "extract") {
     browserAPI.tabs.query({active: true, currentWindow: true}, function(tabs) {
-      browserAPI.tabs.sendMessage(tabs[0].id, {action: "extract", format: request.format}, function(response) {
+      browserAPI.tabs.sendMessage(tabs[0].id, {action: "extract", format: request.format, includeBranches: request.includeBranches}, function(response) {
         sendResponse(response);
       });
     });
@@ -129,12 +774,31 @@ browserAPI.runtime.onMessage.addListener((request, sender, sendResponse) => {
       });
     });
     return true;
+  } else if (request.action === "openPrintView") {
+    openPrintView(request.html, request.fileName, request.title)
+      .then(() => sendResponse({ opened: true }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  } else if (request.action === "searchArchive") {
+    searchArchive(request.query)
+      .then(sendResponse)
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
   } else if (request.action === "batchExtract") {
-    browserAPI.tabs.query({active: true, currentWindow: true}, function(tabs) {
-      batchExtract(tabs[0].id, request.chats, request.format).then(results => {
-        sendResponse({ results });
-      });
-    });
+    startBatchJob(request.chats, request.format, {
+      sync: request.sync,
+      includeBranches: request.includeBranches,
+      output: request.output,
+      externalAssets: request.externalAssets,
+      workers: request.workers,
+      fileNameTemplate: request.fileNameTemplate
+    }).then(sendResponse);
+    return true;
+  } else if (request.action === "getBatchJob") {
+    loadBatchJob().then(job => sendResponse({ job: summarizeBatchJob(job) }));
+    return true;
+  } else if (['pauseBatch', 'resumeBatch', 'cancelBatch', 'retryFailedBatch'].includes(request.action)) {
+    controlBatchJob(request.action).then(sendResponse);
     return true;
   }
 });
@@ -0,0 +1,48 @@
+// Hands a Blob from the service worker to the offscreen document, which (unlike the worker)
+// can give it a blob: URL for chrome.downloads. Both run on the extension origin and so share
+// this IndexedDB database; only one download is handed over at a time.
+
+const BLOB_STORE_DB = 'aichatdl-blobs';
+const BLOB_STORE_NAME = 'blobs';
+
+function openBlobStore() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(BLOB_STORE_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(BLOB_STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolves with the request's result once the transaction has committed
+async function withBlobStore(operation) {
+  const db = await openBlobStore();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(BLOB_STORE_NAME, 'readwrite');
+      const request = operation(transaction.objectStore(BLOB_STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// Anything left by a download that was interrupted before it was taken is dropped
+function putStoredBlob(key, blob) {
+  return withBlobStore(store => {
+    store.clear();
+    return store.put(blob, key);
+  });
+}
+
+// The blob: URL keeps the data alive, so the stored copy goes as soon as it is read
+function takeStoredBlob(key) {
+  return withBlobStore(store => {
+    const request = store.get(key);
+    store.delete(key);
+    return request;
+  });
+}
@@ -0,0 +1,229 @@
+// Converts ChatGPT conversation data into the conversation model. Code-interpreter cells, tool
+// calls, citations, canvas documents and reasoning become message parts. options.fetchFile(id)
+// returns a file as a data URI: the live API in the content script, the archive on the import page.
+
+async function collectChatGPTFiles(fileRefs, options = {}) {
+  const files = [];
+  for (const file of fileRefs || []) {
+    const entry = { type: 'file', name: file.name, mimeType: file.mime_type, id: file.id };
+    if (options.assets) {
+      try {
+        const dataUri = await options.fetchFile(file.id);
+        const path = options.assets.add(dataUri, file.name);
+        if (path !== dataUri) entry.src = path;
+      } catch (e) {}
+    }
+    files.push(entry);
+  }
+  return files;
+}
+
+function resolveChatGPTImage(assetPointer, options) {
+  return options.fetchFile(assetPointer.replace(/^(file-service|sediment):\/\//, ''));
+}
+
+// Code-interpreter images are listed with the execution output that produced them
+async function renderChatGPTOutput(message, options) {
+  const images = [];
+  for (const item of message.metadata?.aggregate_result?.messages || []) {
+    if (item.message_type !== 'image' || !item.image_url) continue;
+    try {
+      images.push(storeImage(await resolveChatGPTImage(item.image_url, options), options));
+    } catch (e) {}
+  }
+  return { text: (message.content.text || '').replace(/\n$/, ''), images };
+}
+
+// Replaces ChatGPT's inline citation markers with [n] and collects the sources they point at.
+// Older answers carry character offsets, newer ones the literal marker text.
+function extractChatGPTCitations(text, metadata, sources) {
+  const cite = item => {
+    let index = sources.findIndex(source => source.url === item.url);
+    if (index < 0) index = sources.push({ title: item.title || item.url, url: item.url }) - 1;
+    return `[${index + 1}]`;
+  };
+
+  let result = text;
+  (metadata.citations || [])
+    .filter(citation => citation.metadata?.url && typeof citation.start_ix === 'number')
+    .sort((a, b) => b.start_ix - a.start_ix)
+    .forEach(citation => {
+      result = result.slice(0, citation.start_ix) + cite(citation.metadata) + result.slice(citation.end_ix);
+    });
+
+  for (const reference of metadata.content_references || []) {
+    const markers = [...(reference.items || []), ...(reference.sources || [])]
+      .filter(item => item.url)
+      .map(cite)
+      .join('');
+    if (reference.matched_text && reference.matched_text.trim()) {
+      result = result.split(reference.matched_text).join(markers);
+    }
+  }
+  (metadata.search_result_groups || []).forEach(group => (group.entries || []).filter(entry => entry.url).forEach(cite));
+
+  return result.replace(/【[^】]*】/g, '').replace(/\ue200[^\ue201]*\ue201/g, '');
+}
+
+const CANVAS_LANGUAGES = { document: 'markdown', 'code/react': 'jsx' };
+
+// Canvas edits are regular expression replacements on the current text of the document
+function applyCanvasUpdates(content, updates) {
+  return (updates || []).reduce((text, update) => {
+    try {
+      return text.replace(new RegExp(update.pattern, update.multiple ? 'g' : ''), () => update.replacement);
+    } catch (e) {
+      return text;
+    }
+  }, content);
+}
+
+function renderChatGPTCanvas(message, canvas, options) {
+  let input;
+  try {
+    input = JSON.parse(message.content.text);
+  } catch (e) {
+    return null;
+  }
+
+  if (message.recipient === 'canmore.create_textdoc') {
+    canvas.currentId = input.name || `canvas-${Object.keys(canvas.documents).length + 1}`;
+    const doc = reviseDocument(canvas.documents, canvas.currentId, {
+      title: input.name,
+      language: CANVAS_LANGUAGES[input.type] || (input.type || '').replace(/^code\//, ''),
+      content: input.content || ''
+    });
+    return createArtifactPart('canvas', doc, options);
+  }
+  if (message.recipient === 'canmore.update_textdoc' && canvas.documents[canvas.currentId]) {
+    const current = canvas.documents[canvas.currentId];
+    const doc = reviseDocument(canvas.documents, canvas.currentId, { content: applyCanvasUpdates(current.content, input.updates) });
+    return createArtifactPart('canvas', doc, options);
+  }
+  return null;
+}
+
+// Renders one API message as parts whose text is Markdown source.
+// When `attachments` is given, images are collected there instead of being inlined.
+async function renderChatGPTParts(message, attachments, state, options) {
+  const { content } = message;
+  const metadata = message.metadata || {};
+  const recipient = message.recipient || 'all';
+
+  if (recipient.startsWith('canmore.')) {
+    const part = renderChatGPTCanvas(message, state.canvas, options);
+    return part ? [part] : [];
+  }
+
+  switch (content.content_type) {
+    case 'code': {
+      const part = { type: 'code', language: content.language && content.language !== 'unknown' ? content.language : '', code: content.text };
+      if (recipient !== 'all' && recipient !== 'python') part.tool = recipient;
+      const outputNode = state.findOutput();
+      if (outputNode) part.output = await renderChatGPTOutput(outputNode.message, options);
+      return [part];
+    }
+    case 'execution_output':
+      return [{ type: 'output', ...await renderChatGPTOutput(message, options) }];
+    case 'thoughts':
+      return [{
+        type: 'thinking',
+        text: (content.thoughts || []).map(thought => [thought.summary && `**${thought.summary}**`, thought.content].filter(Boolean).join('\n\n')).join('\n\n')
+      }];
+    case 'reasoning_recap':
+      return [];
+    default: {
+      const texts = [];
+      const sources = [];
+      for (const part of content.parts || [content.text || content.result || '']) {
+        if (typeof part === 'string') {
+          texts.push(extractChatGPTCitations(part, metadata, sources));
+        } else if (part && part.content_type === 'image_asset_pointer') {
+          let src;
+          try {
+            src = storeImage(await resolveChatGPTImage(part.asset_pointer, options), options);
+          } catch (e) {
+            src = 'unavailable';
+          }
+          if (attachments) {
+            attachments.push({ type: 'image', src });
+          } else {
+            texts.push(`![image](${src})`);
+          }
+        }
+      }
+      const text = texts.filter(Boolean).join('\n\n').trim();
+      return [
+        ...(text ? [{ type: 'text', text }] : []),
+        ...(sources.length ? [{ type: 'citations', sources }] : [])
+      ];
+    }
+  }
+}
+
+// `data` is a conversation as the API returns it, which is also the layout of conversations.json
+// in the account data export
+async function convertChatGPTConversation(data, format, options = {}) {
+  const id = data.conversation_id || data.id;
+  const { mapping } = data;
+  const speakers = { user: 'User', assistant: 'AI', tool: 'Tool' };
+  const getParentId = nodeId => (mapping[nodeId] && mapping[mapping[nodeId].parent] ? mapping[nodeId].parent : null);
+  const canvas = { documents: {}, currentId: null };
+  // Execution outputs folded into the code cell that produced them
+  const foldedIds = new Set();
+
+  const entries = orderMessageTree({
+    rootIds: Object.keys(mapping).filter(nodeId => !getParentId(nodeId)),
+    leafId: data.current_node,
+    getParentId,
+    getChildIds: nodeId => (mapping[nodeId].children || []).filter(childId => mapping[childId])
+  }, options.includeBranches);
+
+  const messages = await buildTreeMessages(entries, getParentId, async nodeId => {
+    const message = mapping[nodeId].message;
+    if (!message || !message.content || message.metadata?.is_visually_hidden_from_conversation || foldedIds.has(nodeId)) return null;
+
+    const role = message.author?.role;
+    if (!speakers[role]) return null;
+    // Canvas tool replies only confirm the edit
+    if (role === 'tool' && (message.author.name || '').startsWith('canmore.')) return null;
+
+    const findOutput = () => {
+      const outputId = (mapping[nodeId].children || [])
+        .find(childId => mapping[childId]?.message?.content?.content_type === 'execution_output');
+      if (!outputId) return null;
+      foldedIds.add(outputId);
+      return mapping[outputId];
+    };
+
+    const attachments = format === 'json' ? [] : undefined;
+    const files = await collectChatGPTFiles(message.metadata?.attachments, options);
+    const parts = await renderChatGPTParts(message, attachments, { canvas, findOutput }, options);
+    if (attachments) {
+      attachments.push(...files);
+    } else if (files.length) {
+      parts.push({ type: 'text', text: describeAttachments(files) });
+    }
+    const text = renderMessageParts(parts, format);
+    if (text.length <= 1 && !attachments?.length) return null;
+
+    return [speakers[role], text, {
+      role,
+      model: message.metadata?.model_slug,
+      createTime: toIsoTime(message.create_time),
+      contentType: message.content.content_type,
+      html: renderMessageParts(parts, 'html'),
+      ...(format === 'json' ? { parts } : {}),
+      ...(attachments ? { attachments } : {})
+    }];
+  });
+
+  return {
+    id,
+    title: data.title || 'Untitled',
+    url: `https://chatgpt.com/c/${id}`,
+    createTime: toIsoTime(data.create_time),
+    updateTime: toIsoTime(data.update_time),
+    messages
+  };
+}
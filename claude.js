@@ -0,0 +1,171 @@
+// Converts Claude conversation data into the conversation model. Artifacts, tool calls with
+// their results, citations and thinking blocks become message parts. options.fetchFile(url)
+// returns an uploaded file as a data URI where the files can be fetched.
+
+// Claude's root messages point at this sentinel instead of having no parent
+const CLAUDE_ROOT_MESSAGE_ID = '00000000-0000-4000-8000-000000000000';
+
+const CLAUDE_ARTIFACT_LANGUAGES = {
+  'text/markdown': 'markdown',
+  'text/html': 'html',
+  'image/svg+xml': 'svg',
+  'application/vnd.ant.mermaid': 'mermaid',
+  'application/vnd.ant.react': 'jsx'
+};
+
+// Artifacts are created or rewritten whole, or updated by replacing one snippet
+function renderClaudeArtifact(input, documents, options) {
+  if (!input || !input.id) return null;
+  const previous = documents[input.id];
+  let content = input.content || '';
+  if (input.command === 'update') {
+    if (!previous) return null;
+    content = previous.content.replace(input.old_str || '', () => input.new_str || '');
+  }
+  const doc = reviseDocument(documents, input.id, {
+    title: input.title || previous?.title,
+    language: input.language || CLAUDE_ARTIFACT_LANGUAGES[input.type] || previous?.language || '',
+    content
+  });
+  return createArtifactPart('artifact', doc, options);
+}
+
+// Citations become [n] markers at the end of the passage they support
+function citeClaudeText(block, sources) {
+  let text = block.text;
+  (block.citations || [])
+    .filter(citation => citation.url && typeof citation.end_index === 'number')
+    .sort((a, b) => b.end_index - a.end_index)
+    .forEach(citation => {
+      let index = sources.findIndex(source => source.url === citation.url);
+      if (index < 0) index = sources.push({ title: citation.title || citation.url, url: citation.url }) - 1;
+      text = `${text.slice(0, citation.end_index)}[${index + 1}]${text.slice(citation.end_index)}`;
+    });
+  return text;
+}
+
+// Renders the content blocks of one message as parts whose text is Markdown source
+function renderClaudeParts(message, documents, options) {
+  if (!Array.isArray(message.content)) {
+    const text = (message.text || '').trim();
+    return text ? [{ type: 'text', text }] : [];
+  }
+
+  const parts = [];
+  const sources = [];
+  for (const block of message.content) {
+    if (block.type === 'text' && block.text) {
+      parts.push({ type: 'text', text: citeClaudeText(block, sources).trim() });
+    } else if (block.type === 'thinking' && block.thinking) {
+      parts.push({ type: 'thinking', text: block.thinking });
+    } else if (block.type === 'tool_use' && block.name === 'artifacts') {
+      const part = renderClaudeArtifact(block.input, documents, options);
+      if (part) parts.push(part);
+    } else if (block.type === 'tool_use') {
+      parts.push({ type: 'code', tool: block.name, language: 'json', code: JSON.stringify(block.input || {}, null, 2) });
+    } else if (block.type === 'tool_result' && block.name !== 'artifacts') {
+      const items = Array.isArray(block.content) ? block.content : [];
+      items
+        .filter(item => item.type === 'knowledge' && item.url && !sources.some(source => source.url === item.url))
+        .forEach(item => sources.push({ title: item.title || item.url, url: item.url }));
+      const text = items.filter(item => item.type === 'text').map(item => item.text).join('\n').trim();
+      if (!text) continue;
+      const call = parts.slice().reverse().find(part => part.type === 'code' && part.tool && !part.output);
+      if (call) call.output = { text, images: [] };
+      else parts.push({ type: 'output', text, images: [] });
+    }
+  }
+  if (sources.length) parts.push({ type: 'citations', sources });
+  return parts;
+}
+
+// Uploaded files, plus pasted documents whose extracted text Claude keeps with the message
+async function getClaudeAttachments(message, options = {}) {
+  const files = [];
+  for (const file of message.files_v2 || message.files || []) {
+    const entry = { type: file.file_kind === 'image' ? 'image' : 'file', name: file.file_name };
+    if (file.preview_url) {
+      entry.src = new URL(file.preview_url, 'https://claude.ai').href;
+      if (options.assets && options.fetchFile) {
+        const dataUri = await options.fetchFile(entry.src);
+        const path = options.assets.add(dataUri, entry.type === 'image' ? undefined : file.file_name);
+        if (path !== dataUri) entry.src = path;
+      }
+    }
+    files.push(entry);
+  }
+
+  for (const file of message.attachments || []) {
+    const entry = { type: 'file', name: file.file_name, mimeType: file.file_type };
+    if (options.assets && file.extracted_content) {
+      entry.src = options.assets.addText(file.extracted_content, file.file_name || 'attachment.txt');
+    }
+    files.push(entry);
+  }
+  return files;
+}
+
+// `data` is a conversation as the API returns it or as it appears in the data export's
+// conversations.json. The export has no tree, so its messages are chained in order.
+async function convertClaudeConversation(data, format, options = {}) {
+  const id = data.uuid;
+  // Exported messages may lack created_at; the sort is stable, so those keep their order
+  const sorted = data.chat_messages
+    .slice()
+    .sort((a, b) => (a.index - b.index) || (a.created_at && b.created_at ? a.created_at.localeCompare(b.created_at) : 0));
+  const linear = !sorted.some(message => message.parent_message_uuid);
+
+  const byId = {};
+  const parentIds = {};
+  const childIds = {};
+  sorted.forEach((message, i) => {
+    byId[message.uuid] = message;
+    const parentId = (linear ? sorted[i - 1]?.uuid : message.parent_message_uuid) || CLAUDE_ROOT_MESSAGE_ID;
+    parentIds[message.uuid] = parentId;
+    (childIds[parentId] = childIds[parentId] || []).push(message.uuid);
+  });
+  const getParentId = nodeId => (byId[parentIds[nodeId]] ? parentIds[nodeId] : null);
+  const leafId = byId[data.current_leaf_message_uuid]
+    ? data.current_leaf_message_uuid
+    : sorted[sorted.length - 1]?.uuid;
+
+  const entries = orderMessageTree({
+    rootIds: Object.keys(byId).filter(nodeId => !getParentId(nodeId)),
+    leafId,
+    getParentId,
+    getChildIds: nodeId => childIds[nodeId] || []
+  }, options.includeBranches);
+
+  const documents = {};
+  const messages = await buildTreeMessages(entries, getParentId, async nodeId => {
+    const message = byId[nodeId];
+    const attachments = format === 'json' || options.assets ? await getClaudeAttachments(message, options) : [];
+    const parts = renderClaudeParts(message, documents, options);
+    if (format !== 'json') {
+      const images = attachments
+        .filter(file => file.type === 'image' && file.src)
+        .map(file => `![${file.name || 'image'}](${encodeURI(file.src)})`);
+      const files = [...images, describeAttachments(attachments)].filter(Boolean).join('\n\n');
+      if (files) parts.push({ type: 'text', text: files });
+    }
+    const text = renderMessageParts(parts, format);
+    if (text.length <= 1) return null;
+    const role = message.sender === 'human' ? 'user' : 'assistant';
+    return [role === 'user' ? 'User' : 'AI', text, {
+      role,
+      model: role === 'assistant' ? data.model : undefined,
+      createTime: message.created_at,
+      html: renderMessageParts(parts, 'html'),
+      ...(format === 'json' ? { parts, attachments } : {})
+    }];
+  });
+
+  return {
+    id,
+    title: data.name || 'Untitled',
+    url: `https://claude.ai/chat/${id}`,
+    createTime: data.created_at,
+    updateTime: data.updated_at,
+    messages
+  };
+}
@@ -1,33 +1,5 @@
 const browserAPI = typeof chrome !== 'undefined' ? chrome : browser;
 
-const PLATFORMS = {
-  CLAUDE: 'Claude',
-  CHATGPT: 'ChatGPT',
-  POE: 'Poe',
-  UNKNOWN: 'Unknown'
-};
-
-const FORMAT_HANDLERS = {
-  markdown: {
-    convert: htmlToMarkdown,
-    fileExtension: 'md',
-    formatMetadata: (url, platform) => `# Conversation extracted from ${url}\n**Platform:** ${platform}\n**Format:** markdown\n\n`,
-    formatMessage: (speaker, text) => `## ${speaker}:\n${text}\n\n`
-  },
-  html: {
-    convert: simplifyHtml,
-    fileExtension: 'html',
-    formatMetadata: (url, platform) => `<h1>Conversation extracted from ${url}</h1><p><strong>Platform:</strong> ${platform}</p><p><strong>Format:</strong> html</p>`,
-    formatMessage: (speaker, text) => `<h2>${speaker}:</h2><div>${text}</div>`
-  },
-  plaintext: {
-    convert: htmlToPlaintext,
-    fileExtension: 'txt',
-    formatMetadata: (url, platform) => `Conversation extracted from ${url}\nPlatform: ${platform}\nFormat: plaintext\n\n`,
-    formatMessage: (speaker, text) => `${speaker}:\n${text}\n\n`
-  }
-};
-
 async function extractConversation(format, options = {}) {
   const logs = [];
   const log = message => {
@@ -40,20 +12,75 @@ async function extractConversation(format, options = {}) {
     log(`Platform detected: ${platform}`);
     log(`Format selected: ${format}`);
 
-    const messages = await extractConversationFromPlatform(platform, format);
+    // PDFs are printed from the HTML export and the clipboard holds one text, so both embed everything
+    const pdf = format === 'pdf';
+    const renderFormat = pdf ? 'html' : format;
+    // Canvas documents and artifacts are always saved as files; images only when asked to
+    const files = pdf || options.clipboard ? null : createAssetStore(options.returnContent ? options.assetPrefix : ASSET_PREFIX_PLACEHOLDER);
+    const assets = options.externalAssets ? files : null;
+    const conversation = await extractConversationFromPlatform(platform, renderFormat, log, { ...options, assets, artifacts: files });
+    // Positions from the popup's message picker
+    if (options.messageIndexes) {
+      conversation.messages = conversation.messages.filter((message, i) => options.messageIndexes.includes(i));
+      log(`Exporting ${conversation.messages.length} selected messages`);
+    }
+    const { messages } = conversation;
 
     if (messages.length > 0) {
-      const content = formatConversation(platform, messages, format);
+      const redaction = options.redaction ? await redactConversation(conversation, options.redaction, files ? files.files : [], renderFormat) : null;
+      if (redaction) log(describeRedactionReport(redaction));
+      const content = formatConversation(platform, conversation, renderFormat, {
+        frontMatter: options.frontMatter,
+        tags: options.tags,
+        fragment: options.clipboard
+      });
+      const nameValues = getFilenameValues(platform, conversation);
+      // Files saved for messages that were left out of a selection are dropped with them
+      if (files && options.messageIndexes) {
+        files.files.splice(0, files.files.length, ...files.files.filter(file => isFileReferenced(content, file.path)));
+      }
+
+      if (options.clipboard) {
+        if (renderFormat !== 'html') return { platform, messageCount: messages.length, content, logs };
+        // Rich text for editors, plain text for everything else
+        const plain = { ...conversation, messages: messages.map(([speaker, text, meta]) => [speaker, htmlToPlaintext(text), meta]) };
+        return { platform, messageCount: messages.length, html: content, content: formatConversation(platform, plain, 'plaintext', { fragment: true }), logs };
+      }
 
-      // Batch mode: download with custom filename
-      if (options.batchDownload && options.fileName) {
-        downloadConversationAs(content, options.fileName);
-        return { platform, messageCount: messages.length, downloadInitiated: true, logs };
+      // Batch mode: hand the content back so the background can route it to the native host
+      if (options.returnContent) {
+        return {
+          platform,
+          messageCount: messages.length,
+          content,
+          ...(files ? { assets: files.files } : {}),
+          ...(conversation.updateTime ? { updatedAt: conversation.updateTime } : {}),
+          ...(redaction ? { redaction } : {}),
+          nameValues,
+          logs
+        };
       }
 
-      const downloadStatus = downloadConversation(content, format);
+      const baseName = flattenFilename(applyFilenameTemplate(options.fileNameTemplate, nameValues)) + (options.messageIndexes ? '-excerpt' : '');
+      if (pdf) {
+        await openPrintView(content, baseName, nameValues.title || baseName);
+        log('Opened the print view; choose "Save as PDF" as the destination');
+        return { platform, messageCount: messages.length, printViewOpened: true, logs };
+      }
+
+      // Single downloads cannot create folders, so their assets sit next to the transcript with its name as prefix
+      const resolved = resolveAssetPrefix(content, files.files, `${baseName}-`);
+      downloadConversation(resolved.content, format, baseName);
+      resolved.files.forEach(downloadAsset);
+      if (files.files.length) log(`Saved ${files.files.length} images, attachments and documents as separate files`);
+      log(`Saved as ${baseName}.${FORMAT_HANDLERS[format].fileExtension}`);
       return { platform, messageCount: messages.length, downloadInitiated: true, logs };
     } else {
+      // Name the selectors that stopped matching instead of only reporting an empty page
+      const unmatched = diagnoseSelectors(platform).filter(result => !result.used).map(result => result.role);
+      if (unmatched.length) {
+        log(`No page elements matched for: ${unmatched.join(', ')} (selector registry v${SELECTOR_REGISTRY_VERSION}). Diagnose Page lists every strategy.`);
+      }
       return { error: "No messages found in the conversation.", logs };
     }
   } catch (error) {
@@ -61,28 +88,60 @@ async function extractConversation(format, options = {}) {
   }
 }
 
+// Links to saved files are written raw, URI-encoded or HTML-escaped depending on the format
+function isFileReferenced(content, path) {
+  return [path, encodeURI(path), escapeHtml(encodeURI(path))].some(form => content.includes(form));
+}
+
+// What the message picker shows: every message the export would contain, with a short preview.
+// Images are not fetched for it. The source it came from (API or page) goes back with the picked
+// indexes, so the export reads the same list of messages.
+async function listMessages(options = {}) {
+  const platform = detectPlatform();
+  const conversation = await extractConversationFromPlatform(platform, 'markdown', () => {}, { ...options, skipImages: true });
+  return {
+    platform,
+    source: conversation.source,
+    title: conversation.title,
+    messages: conversation.messages.map(([speaker, text, meta]) => ({
+      speaker,
+      role: meta && meta.role ? meta.role : (speaker.startsWith('User') ? 'user' : 'assistant'),
+      preview: text.replace(/!\[[^\]]*\]\([^)]*\)/g, '[image]').replace(/\s+/g, ' ').trim().slice(0, 120)
+    }))
+  };
+}
+
 async function getChatList() {
-  const historyDiv = document.querySelector('#history');
-  if (!historyDiv) return { chats: [], error: 'Sidebar #history not found' };
+  const listers = {
+    [PLATFORMS.CHATGPT]: getChatGPTChatList,
+    [PLATFORMS.CLAUDE]: getClaudeChatList,
+    [PLATFORMS.POE]: getPoeChatList
+  };
+  const platform = detectPlatform();
+  if (!listers[platform]) return { chats: [], error: `Batch download is not supported on ${platform}` };
+  return { platform, ...(await listers[platform]()) };
+}
 
-  // Find the scrollable container (the parent that actually scrolls)
-  let scrollContainer = historyDiv;
-  let el = historyDiv;
+// Find the scrollable container (the nearest ancestor that actually scrolls)
+function findScrollContainer(element) {
+  let el = element;
   while (el) {
-    if (el.scrollHeight > el.clientHeight + 10) {
-      scrollContainer = el;
-      break;
-    }
+    if (el.scrollHeight > el.clientHeight + 10) return el;
     el = el.parentElement;
   }
+  return document.scrollingElement || element;
+}
 
-  // Scroll to bottom repeatedly until no new links appear
+// Scroll to bottom repeatedly until no new links appear
+async function scrollUntilStable(root, linkSelector) {
+  const firstLink = root.querySelector(linkSelector);
+  const scrollContainer = findScrollContainer(firstLink ? firstLink.parentElement : root);
   let prevCount = 0;
   let stableRounds = 0;
   const maxScrollAttempts = 50;
 
   for (let i = 0; i < maxScrollAttempts; i++) {
-    const currentCount = historyDiv.querySelectorAll('a[href^="/c/"]').length;
+    const currentCount = root.querySelectorAll(linkSelector).length;
     if (currentCount === prevCount) {
       stableRounds++;
       if (stableRounds >= 3) break;
@@ -95,37 +154,209 @@ async function getChatList() {
   }
 
   scrollContainer.scrollTop = 0;
+}
 
-  const links = Array.from(historyDiv.querySelectorAll('a[href^="/c/"]'));
+function collectChatLinks(root, linkSelector, idPrefix) {
   const seen = new Set();
   const chats = [];
-  for (const a of links) {
+  for (const a of root.querySelectorAll(linkSelector)) {
     const href = a.getAttribute('href');
     if (seen.has(href)) continue;
     seen.add(href);
-    const id = href.replace('/c/', '');
-    const title = a.textContent.trim() || 'Untitled';
-    chats.push({ id, title, url: `https://chatgpt.com${href}` });
+    const id = href.replace(idPrefix, '').split(/[/?#]/)[0];
+    const title = a.textContent.trim().replace(/\s+/g, ' ') || 'Untitled';
+    chats.push({ id, title, url: new URL(href, window.location.origin).href });
   }
+  return chats;
+}
+
+const CHATGPT_LIST_PAGE_SIZE = 100;
 
-  return { chats };
+// The conversations API carries update times and projects; the sidebar links are the fallback
+async function getChatGPTChatList() {
+  try {
+    return { chats: await fetchChatGPTChatList() };
+  } catch (e) {
+    const historyDiv = selectFirst(PLATFORMS.CHATGPT, 'history');
+    if (!historyDiv) return { chats: [], error: `Sidebar chat history not found (API: ${e.message})` };
+
+    await scrollUntilStable(historyDiv, 'a[href^="/c/"]');
+    const groupDates = getSidebarGroupDates(historyDiv, 'a[href^="/c/"]');
+    const chats = collectChatLinks(historyDiv, 'a[href^="/c/"]', '/c/')
+      .map(chat => (groupDates[chat.url] ? { ...chat, dateHint: groupDates[chat.url] } : chat));
+    return { chats };
+  }
+}
+
+async function fetchChatGPTChatList() {
+  const projectNames = getChatGPTProjectNames();
+  const chats = [];
+  for (let offset = 0; ; offset += CHATGPT_LIST_PAGE_SIZE) {
+    const page = await fetchChatGPTJson(`/backend-api/conversations?offset=${offset}&limit=${CHATGPT_LIST_PAGE_SIZE}&order=updated`);
+    const items = page.items || [];
+    for (const item of items) {
+      // Project conversations belong to a "g-p-" gizmo
+      const projectId = item.gizmo_id && item.gizmo_id.startsWith('g-p-') ? item.gizmo_id : null;
+      const updatedAt = typeof item.update_time === 'number' ? toIsoTime(item.update_time)
+        : item.update_time ? new Date(item.update_time).toISOString() : undefined;
+      chats.push({
+        id: item.id,
+        title: item.title || 'Untitled',
+        url: new URL(`/c/${item.id}`, window.location.origin).href,
+        ...(updatedAt ? { updatedAt } : {}),
+        ...(projectId ? { project: projectNames[projectId] || projectId } : {})
+      });
+    }
+    if (!items.length || offset + items.length >= page.total) break;
+  }
+  return chats;
+}
+
+// Project names are only in the sidebar, whose links look like /g/g-p-<id>-<slug>/project
+function getChatGPTProjectNames() {
+  const names = {};
+  for (const a of document.querySelectorAll('a[href^="/g/g-p-"]')) {
+    const match = a.getAttribute('href').match(/^\/g\/(g-p-[0-9a-f]+)/);
+    const name = a.textContent.trim().replace(/\s+/g, ' ');
+    if (match && name && !names[match[1]]) names[match[1]] = name;
+  }
+  return names;
+}
+
+// Sidebar section headings ("Today", "Previous 7 Days", "March", "2023") give each chat a rough date
+function getSidebarGroupDates(root, linkSelector) {
+  const dates = {};
+  let groupDate = null;
+  for (const el of root.querySelectorAll(`h2, h3, h4, ${linkSelector}`)) {
+    if (el.matches(linkSelector)) {
+      if (groupDate) dates[new URL(el.getAttribute('href'), window.location.origin).href] = groupDate;
+    } else {
+      groupDate = parseSidebarGroupDate(el.textContent.trim());
+    }
+  }
+  return dates;
+}
+
+function parseSidebarGroupDate(label) {
+  const now = new Date();
+  const relativeDays = { 'today': 0, 'yesterday': 1, 'previous 7 days': 7, 'previous 30 days': 30 };
+  const days = relativeDays[label.toLowerCase()];
+  if (days !== undefined) return new Date(now.getFullYear(), now.getMonth(), now.getDate() - days).toISOString();
+  if (/^\d{4}$/.test(label)) return new Date(Number(label), 0, 1).toISOString();
+
+  const [month, year] = label.split(/\s+/);
+  const date = new Date(`${month} 1, ${year || now.getFullYear()}`);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+// Recents list every conversation; a project page lists only that project's conversations
+async function getClaudeChatList() {
+  const projectMatch = window.location.pathname.match(/\/project\/([\w-]+)/);
+  try {
+    const orgId = await getClaudeOrganizationId();
+    const path = projectMatch
+      ? `/api/organizations/${orgId}/projects/${projectMatch[1]}/conversations`
+      : `/api/organizations/${orgId}/chat_conversations`;
+    const conversations = await fetchClaudeJson(path);
+    const pageProject = projectMatch ? await getClaudeProjectName(orgId, projectMatch[1]) : null;
+    return {
+      chats: conversations.map(conversation => {
+        const project = pageProject || (conversation.project && conversation.project.name) || conversation.project_uuid;
+        return {
+          id: conversation.uuid,
+          title: conversation.name || 'Untitled',
+          url: `https://claude.ai/chat/${conversation.uuid}`,
+          ...(conversation.updated_at ? { updatedAt: conversation.updated_at } : {}),
+          ...(project ? { project } : {})
+        };
+      })
+    };
+  } catch (e) {
+    // Fall back to the links rendered on the recents or project page
+    await scrollUntilStable(document.body, 'a[href^="/chat/"]');
+    const chats = collectChatLinks(document.body, 'a[href^="/chat/"]', '/chat/');
+    return chats.length ? { chats } : { chats, error: `Claude chat list unavailable: ${e.message}` };
+  }
+}
+
+async function getClaudeProjectName(orgId, projectId) {
+  try {
+    const project = await fetchClaudeJson(`/api/organizations/${orgId}/projects/${projectId}`);
+    return project.name || projectId;
+  } catch (e) {
+    return projectId;
+  }
+}
+
+async function getPoeChatList() {
+  await scrollUntilStable(document.body, 'a[href^="/chat/"]');
+  const chats = collectChatLinks(document.body, 'a[href^="/chat/"]', '/chat/');
+  return chats.length ? { chats } : { chats, error: 'No chats found; open poe.com/chats to list them' };
 }
 
 function detectPlatform() {
-  if (document.querySelector('div.font-claude-message')) return PLATFORMS.CLAUDE;
-  if (window.location.hostname === 'chatgpt.com') return PLATFORMS.CHATGPT;
-  if (document.querySelector('div.ChatMessagesView_messagePair__ZEXUz')) return PLATFORMS.POE;
+  const { hostname } = window.location;
+  if (hostname === 'claude.ai' || resolveSelector(PLATFORMS.CLAUDE, 'message')) return PLATFORMS.CLAUDE;
+  if (hostname === 'chatgpt.com') return PLATFORMS.CHATGPT;
+  if (hostname === 'poe.com' || resolveSelector(PLATFORMS.POE, 'messagePair')) return PLATFORMS.POE;
   return PLATFORMS.UNKNOWN;
 }
 
-async function extractConversationFromPlatform(platform, format) {
+// Registry role whose nodes show that the conversation has rendered
+const CONVERSATION_READY_ROLES = {
+  [PLATFORMS.CHATGPT]: 'author',
+  [PLATFORMS.CLAUDE]: 'message',
+  [PLATFORMS.POE]: 'messagePair'
+};
+
+// The page counts as ready once messages are rendered and have stopped changing for two polls
+async function waitForConversationReady(timeoutMs = 30000) {
+  const platform = detectPlatform();
+  const role = CONVERSATION_READY_ROLES[platform];
+  if (!role) return { ready: false };
+
+  const deadline = Date.now() + timeoutMs;
+  let previous = null;
+  let stableRounds = 0;
+  while (Date.now() < deadline) {
+    const messages = selectAll(platform, role);
+    const last = messages[messages.length - 1];
+    const snapshot = messages.length ? `${messages.length}:${last.textContent.length}` : null;
+    stableRounds = snapshot && snapshot === previous ? stableRounds + 1 : 0;
+    if (stableRounds >= 2) return { ready: true, messageCount: messages.length };
+    previous = snapshot;
+    await new Promise(resolve => setTimeout(resolve, 300));
+  }
+  return { ready: false };
+}
+
+async function extractConversationFromPlatform(platform, format, log, options = {}) {
+  // API extractors see the full conversation data; the DOM scrapers are the fallback
+  const apiExtractors = {
+    [PLATFORMS.CHATGPT]: extractChatGPTConversationFromApi,
+    [PLATFORMS.CLAUDE]: extractClaudeConversationFromApi
+  };
   const extractors = {
     [PLATFORMS.CHATGPT]: extractChatGPTConversation,
     [PLATFORMS.CLAUDE]: extractClaudeConversation,
     [PLATFORMS.POE]: extractPoeConversation
   };
 
-  return extractors[platform] ? await extractors[platform](format) : [];
+  // options.source pins one of them, for message indexes picked from that source's list
+  if (apiExtractors[platform] && options.source !== 'page') {
+    try {
+      const conversation = await apiExtractors[platform](format, options);
+      log(`Extracted ${conversation.messages.length} messages from the ${platform} API${options.includeBranches ? ' (all branches)' : ''}`);
+      return { ...conversation, source: 'api' };
+    } catch (error) {
+      if (options.source === 'api') throw new Error(`${platform} API unavailable for the picked messages (${error.message}); pick them again`);
+      log(`API extraction failed (${error.message}), falling back to page scraping`);
+    }
+  }
+
+  if (options.includeBranches) log('Branches are only available through the API; exporting the visible path');
+  const messages = extractors[platform] ? await extractors[platform](format, options) : [];
+  return { title: document.title, url: window.location.href, messages, source: 'page' };
 }
 
 async function imgToBase64(src) {
@@ -143,17 +374,57 @@ async function imgToBase64(src) {
   }
 }
 
-async function extractChatGPTConversation(format) {
-  const articles = Array.from(document.querySelectorAll('article'));
+let chatGPTAccessToken = null;
+
+async function fetchChatGPTJson(path) {
+  if (!chatGPTAccessToken) {
+    const sessionResp = await fetch('/api/auth/session', { credentials: 'include' });
+    if (!sessionResp.ok) throw new Error(`session request returned ${sessionResp.status}`);
+    const session = await sessionResp.json();
+    if (!session.accessToken) throw new Error('not signed in');
+    chatGPTAccessToken = session.accessToken;
+  }
+
+  const resp = await fetch(path, {
+    credentials: 'include',
+    headers: { Authorization: `Bearer ${chatGPTAccessToken}` }
+  });
+  if (!resp.ok) throw new Error(`${path} returned ${resp.status}`);
+  return resp.json();
+}
+
+function getChatGPTConversationId() {
+  const match = window.location.pathname.match(/\/c\/([\w-]+)/);
+  return match ? match[1] : null;
+}
+
+async function fetchChatGPTFile(fileId) {
+  const { download_url: downloadUrl } = await fetchChatGPTJson(`/backend-api/files/${fileId}/download`);
+  return imgToBase64(downloadUrl);
+}
+
+async function extractChatGPTConversationFromApi(format, options = {}) {
+  const id = getChatGPTConversationId();
+  if (!id) throw new Error('no conversation id in the URL');
+
+  const data = await fetchChatGPTJson(`/backend-api/conversation/${id}`);
+  const fetchFile = options.skipImages ? async fileId => fileId : fetchChatGPTFile;
+  const conversation = await convertChatGPTConversation(data, format, { ...options, fetchFile });
+  return { ...conversation, url: window.location.href };
+}
+
+async function extractChatGPTConversation(format, options) {
+  const articles = selectAll(PLATFORMS.CHATGPT, 'message');
   const results = [];
 
   for (const article of articles) {
-    const roleEl = article.querySelector('[data-message-author-role]');
+    const roleEl = selectFirst(PLATFORMS.CHATGPT, 'author', article);
     const role = roleEl ? roleEl.getAttribute('data-message-author-role') : null;
     const speaker = role === 'user' ? "User" : "AI";
 
-    const contentDiv = article.querySelector('.markdown, .whitespace-pre-wrap');
+    const contentDiv = selectFirst(PLATFORMS.CHATGPT, 'content', article);
     let text = contentDiv ? extractContent(contentDiv, format) : '';
+    const attachments = [];
 
     const seenPaths = new Set();
     const imgElements = Array.from(article.querySelectorAll('img'))
@@ -170,52 +441,88 @@ async function extractChatGPTConversation(format) {
       });
 
     for (const img of imgElements) {
-      const dataUri = await imgToBase64(img.src);
-      if (format === 'markdown') {
+      const dataUri = storeImage(options.skipImages ? img.src : await imgToBase64(img.src), options);
+      if (format === 'json') {
+        attachments.push({ type: 'image', src: dataUri });
+      } else if (format === 'markdown') {
         text += `\n\n![image](${dataUri})`;
       } else if (format === 'html') {
         text += `<br><img src="${dataUri}">`;
       } else {
-        text += `\n\n[embedded image]`;
+        text += `\n\n${describeImageForPlaintext(dataUri)}`;
       }
     }
 
-    if (text.length > 1) results.push([speaker, text]);
+    if (text.length > 1 || attachments.length) {
+      results.push([speaker, text, {
+        role: role === 'user' ? 'user' : 'assistant',
+        html: contentDiv ? contentDiv.innerHTML : '',
+        ...(format === 'json' ? { attachments } : {})
+      }]);
+    }
   }
 
   return results;
 }
 
+async function fetchClaudeJson(path) {
+  const resp = await fetch(path, { credentials: 'include' });
+  if (!resp.ok) throw new Error(`${path} returned ${resp.status}`);
+  return resp.json();
+}
+
+async function getClaudeOrganizationId() {
+  const cookie = document.cookie.match(/(?:^|;\s*)lastActiveOrg=([^;]+)/);
+  if (cookie) return decodeURIComponent(cookie[1]);
+  const organizations = await fetchClaudeJson('/api/organizations');
+  if (!organizations.length) throw new Error('no Claude organization found');
+  return organizations[0].uuid;
+}
+
+async function extractClaudeConversationFromApi(format, options = {}) {
+  const match = window.location.pathname.match(/\/chat\/([\w-]+)/);
+  if (!match) throw new Error('no conversation id in the URL');
+
+  const orgId = await getClaudeOrganizationId();
+  const data = await fetchClaudeJson(`/api/organizations/${orgId}/chat_conversations/${match[1]}?tree=True&rendering_mode=messages`);
+  const fetchFile = options.skipImages ? async src => src : imgToBase64;
+  const conversation = await convertClaudeConversation(data, format, { ...options, fetchFile });
+  return { ...conversation, url: window.location.href };
+}
+
 function extractClaudeConversation(format) {
-  return Array.from(document.querySelectorAll('div.font-user-message, div.font-claude-message'))
+  return selectAll(PLATFORMS.CLAUDE, 'message')
     .map(container => {
-      const speaker = container.classList.contains('font-user-message') ? "User" : "AI";
+      const speaker = matchesRole(container, PLATFORMS.CLAUDE, 'userMessage') ? "User" : "AI";
       const contentElement = speaker === "AI" ? container.querySelector('div') : container;
-      return [speaker, extractContent(contentElement, format)];
+      return [speaker, extractContent(contentElement, format), {
+        role: speaker === "User" ? 'user' : 'assistant',
+        html: contentElement.innerHTML
+      }];
     })
     .filter(([, text]) => text.length > 1);
 }
 
 function extractPoeConversation(format) {
-  return Array.from(document.querySelectorAll('div.ChatMessagesView_messagePair__ZEXUz'))
+  return selectAll(PLATFORMS.POE, 'messagePair')
     .flatMap(container => {
       const messages = [];
-      const userMessage = container.querySelector('div.ChatMessage_rightSideMessageWrapper__r0roB');
+      const userMessage = selectFirst(PLATFORMS.POE, 'userMessage', container);
       if (userMessage) {
-        const content = userMessage.querySelector('div.Markdown_markdownContainer__Tz3HQ');
+        const content = selectFirst(PLATFORMS.POE, 'markdown', userMessage);
         if (content) {
           const text = extractContent(content, format);
-          if (text.length > 1) messages.push(["User", text]);
+          if (text.length > 1) messages.push(["User", text, { role: 'user', html: content.innerHTML }]);
         }
       }
 
-      const aiMessages = Array.from(container.querySelectorAll('div.ChatMessage_messageWrapper__4Ugd6'))
-        .filter(msg => !msg.classList.contains('ChatMessage_rightSideMessageWrapper__r0roB'));
+      const aiMessages = selectAll(PLATFORMS.POE, 'messageWrapper', container)
+        .filter(msg => !matchesRole(msg, PLATFORMS.POE, 'userMessage'));
       aiMessages.forEach(aiMessage => {
-        const content = aiMessage.querySelector('div.Markdown_markdownContainer__Tz3HQ');
+        const content = selectFirst(PLATFORMS.POE, 'markdown', aiMessage);
         if (content) {
           const text = extractContent(content, format);
-          if (text.length > 1) messages.push(["AI", text]);
+          if (text.length > 1) messages.push(["AI", text, { role: 'assistant', html: content.innerHTML }]);
         }
       });
       return messages;
@@ -226,28 +533,30 @@ function extractContent(element, format) {
   return FORMAT_HANDLERS[format].convert(element.innerHTML);
 }
 
-function formatConversation(platform, messages, format) {
-  const { formatMetadata, formatMessage } = FORMAT_HANDLERS[format];
-  let content = formatMetadata(window.location.href, platform);
-  messages.forEach(([speaker, text]) => {
-    content += formatMessage(speaker, text);
+// The background opens print.html, which renders the HTML export with print styling
+function openPrintView(html, fileName, title) {
+  return new Promise((resolve, reject) => {
+    browserAPI.runtime.sendMessage({ action: 'openPrintView', html, fileName, title }, response => {
+      if (browserAPI.runtime.lastError) reject(new Error(browserAPI.runtime.lastError.message));
+      else if (response && response.error) reject(new Error(response.error));
+      else resolve();
+    });
   });
-  return content;
 }
 
-function downloadConversation(content, format) {
+function downloadConversation(content, format, baseName) {
   const blob = new Blob([content], { type: 'text/plain' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = `conversation_${new Date().toISOString().replace(/[:.]/g, '-')}.${FORMAT_HANDLERS[format].fileExtension}`;
+  a.download = `${baseName}.${FORMAT_HANDLERS[format].fileExtension}`;
   a.click();
   URL.revokeObjectURL(url);
   return 'File download initiated';
 }
 
-function downloadConversationAs(content, fileName) {
-  const blob = new Blob([content], { type: 'text/plain' });
+function downloadConversationAs(content, fileName, type = 'text/plain') {
+  const blob = new Blob([content], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -256,50 +565,52 @@ function downloadConversationAs(content, fileName) {
   URL.revokeObjectURL(url);
 }
 
-function htmlToMarkdown(html) {
-  return html
-    .replace(/<img\b[^>]*src="([^"]*)"[^>]*alt="([^"]*)"[^>]*\/?>/gi, '![$2]($1)')
-    .replace(/<img\b[^>]*alt="([^"]*)"[^>]*src="([^"]*)"[^>]*\/?>/gi, '![$1]($2)')
-    .replace(/<img\b[^>]*src="([^"]*)"[^>]*\/?>/gi, '![image]($1)')
-    .replace(/<ul\b[^>]*>([\s\S]*?)<\/ul>/gi, function(match, content) {
-      return content.replace(/<li\b[^>]*>([\s\S]*?)<\/li>/gi, '- $1\n');
-    })
-    .replace(/<p\b[^>]*>([\s\S]*?)<\/p>/gi, '$1\n\n')
-    .replace(/<br\s*\/?>/gi, '\n')
-    .replace(/<[^>]+>/g, '')
-    .trim();
-}
-
-function htmlToPlaintext(html) {
-  return html
-    .replace(/<img\b[^>]*src="([^"]*)"[^>]*\/?>/gi, '[image: $1]')
-    .replace(/<ul\b[^>]*>([\s\S]*?)<\/ul>/gi, function(match, content) {
-      return content.replace(/<li\b[^>]*>([\s\S]*?)<\/li>/gi, '- $1\n');
-    })
-    .replace(/<p\b[^>]*>([\s\S]*?)<\/p>/gi, '$1\n\n')
-    .replace(/<br\s*\/?>/gi, '\n')
-    .replace(/<[^>]+>/g, '')
-    .trim();
-}
-
-function simplifyHtml(html) {
-  return html
-    .replace(/<(\w+)\s+[^>]*>/g, '<$1>')
-    .replace(/\s+/g, ' ')
-    .trim();
+function downloadAsset(file) {
+  if (file.encoding === 'base64') {
+    downloadConversationAs(base64ToBytes(file.data), file.path, 'application/octet-stream');
+  } else {
+    downloadConversationAs(file.data, file.path);
+  }
 }
 
 browserAPI.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === "extract") {
-    extractConversation(request.format, {
-      batchDownload: request.batchDownload,
-      fileName: request.fileName
-    }).then(sendResponse);
+    // Anything the request leaves out comes from the user's settings
+    loadSettings().then(settings => extractConversation(request.format || settings.format, {
+      returnContent: request.returnContent,
+      includeBranches: request.includeBranches,
+      assetPrefix: request.assetPrefix,
+      externalAssets: request.externalAssets ?? settings.imageHandling === 'files',
+      fileNameTemplate: request.fileNameTemplate || settings.fileNameTemplate,
+      frontMatter: settings.frontMatter,
+      tags: settings.tags.split(','),
+      redaction: buildRedactionRules(settings),
+      messageIndexes: request.messageIndexes,
+      source: request.messageSource,
+      clipboard: request.clipboard
+    })).then(sendResponse);
     return true;
+  } else if (request.action === "listMessages") {
+    listMessages({ includeBranches: request.includeBranches })
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  } else if (request.action === "download") {
+    const content = request.encoding === 'base64' ? base64ToBytes(request.content) : request.content;
+    downloadConversationAs(content, request.fileName, request.mimeType);
+    sendResponse({ downloadInitiated: true });
   } else if (request.action === "detectPlatform") {
     sendResponse({ platform: detectPlatform() });
+  } else if (request.action === "diagnose") {
+    const platform = detectPlatform();
+    sendResponse({ platform, registryVersion: SELECTOR_REGISTRY_VERSION, roles: diagnoseSelectors(platform) });
   } else if (request.action === "getChatList") {
     getChatList().then(sendResponse);
     return true;
+  } else if (request.action === "waitForReady") {
+    loadSettings()
+      .then(settings => waitForConversationReady(request.timeout || settings.readyTimeout * 1000))
+      .then(sendResponse);
+    return true;
   }
 });
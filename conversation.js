@@ -0,0 +1,315 @@
+// Conversation model shared by the content script and the import page: the format handlers,
+// message tree ordering and the transcript, metadata and JSON serialisers. A conversation is
+// { id, title, url, createTime, updateTime, messages } with messages as [speaker, text, meta].
+
+const PLATFORMS = {
+  CLAUDE: 'Claude',
+  CHATGPT: 'ChatGPT',
+  POE: 'Poe',
+  UNKNOWN: 'Unknown'
+};
+
+const FORMAT_HANDLERS = {
+  markdown: {
+    convert: htmlToMarkdown,
+    fileExtension: 'md',
+    formatMetadata: (url, platform, metadata) =>
+      `${metadata ? metadataToYaml(metadata) : ''}# Conversation extracted from ${url}\n**Platform:** ${platform}\n**Format:** markdown\n\n`,
+    formatMessage: (speaker, text, meta) => {
+      const details = describeMessageMeta(meta);
+      return `## ${speaker}:\n${details ? `_${details}_\n\n` : ''}${text}\n\n`;
+    }
+  },
+  html: {
+    convert: cleanMessageHtml,
+    fileExtension: 'html',
+    formatMetadata: (url, platform) =>
+      `<header class="conversation-header"><p>Extracted from <a href="${escapeHtml(url)}">${escapeHtml(url)}</a></p><p>Platform: ${platform}</p></header>`,
+    formatMessage: (speaker, text, meta) => {
+      const details = describeMessageMeta(meta);
+      const role = meta && meta.role ? meta.role : (speaker.startsWith('User') ? 'user' : 'assistant');
+      return `<section class="message message-${role}"><h2>${escapeHtml(speaker)}</h2>${details ? `<p class="message-meta">${escapeHtml(details)}</p>` : ''}<div class="message-body">${text}</div></section>`;
+    },
+    wrapDocument: buildHtmlDocument
+  },
+  plaintext: {
+    convert: htmlToPlaintext,
+    fileExtension: 'txt',
+    formatMetadata: (url, platform) => `Conversation extracted from ${url}\nPlatform: ${platform}\nFormat: plaintext\n\n`,
+    formatMessage: (speaker, text, meta) => {
+      const details = describeMessageMeta(meta);
+      return `${speaker}:\n${details ? `[${details}]\n` : ''}${text}\n\n`;
+    }
+  },
+  json: {
+    convert: htmlToMarkdown,
+    fileExtension: 'json',
+    serialize: conversationToJson
+  }
+};
+
+// Version of the JSON export layout described in conversation.schema.json
+const JSON_SCHEMA_VERSION = 1;
+
+const IMAGE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/svg+xml': 'svg' };
+
+// Collects images and attachments as separate files and hands out paths relative to the
+// transcript. Images are numbered; attachments keep their own (cleaned, de-duplicated) name.
+function createAssetStore(prefix) {
+  const files = [];
+  const usedNames = new Set();
+  let imageCount = 0;
+
+  const reservePath = name => {
+    const clean = name.replace(/[<>:"/\\|?*\x00-\x1f]/g, '').replace(/\s+/g, '-') || 'attachment';
+    const dot = clean.lastIndexOf('.');
+    const [stem, extension] = dot > 0 ? [clean.slice(0, dot), clean.slice(dot)] : [clean, ''];
+    let candidate = clean;
+    for (let n = 2; usedNames.has(candidate); n++) candidate = `${stem}-${n}${extension}`;
+    usedNames.add(candidate);
+    return prefix + candidate;
+  };
+
+  return {
+    files,
+    add(dataUri, name) {
+      const match = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/.exec(dataUri);
+      if (!match) return dataUri;
+      const mimeType = match[1] || 'application/octet-stream';
+      const extension = IMAGE_EXTENSIONS[mimeType] || mimeType.split('/')[1] || 'bin';
+      const path = reservePath(name || `img-${String(++imageCount).padStart(3, '0')}.${extension}`);
+      files.push({ path, data: match[2], encoding: 'base64' });
+      return path;
+    },
+    addText(text, name) {
+      const path = reservePath(name);
+      files.push({ path, data: text, encoding: 'utf8' });
+      return path;
+    }
+  };
+}
+
+// Markdown links to attachments that were saved next to the transcript
+function describeAttachments(attachments) {
+  return attachments
+    .filter(file => file.type === 'file' && file.src)
+    .map(file => `Attachment: [${file.name}](${encodeURI(file.src)})`)
+    .join('\n\n');
+}
+
+function describeImageForPlaintext(src) {
+  return src.startsWith('data:') ? '[embedded image]' : `[image: ${src}]`;
+}
+
+function storeImage(dataUri, options = {}) {
+  return options.assets ? options.assets.add(dataUri) : dataUri;
+}
+
+function toIsoTime(seconds) {
+  return typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : undefined;
+}
+
+// Path of node ids from the root down to `leafId`, following parent links
+function getPathToLeaf(leafId, getParentId) {
+  const path = [];
+  let nodeId = leafId;
+  while (nodeId) {
+    path.unshift(nodeId);
+    nodeId = getParentId(nodeId);
+  }
+  return path;
+}
+
+// Depth-first walk of a message tree. Where a node has several children (edits, regenerations)
+// each child is tagged with its position among the siblings.
+function walkMessageTree(rootIds, getChildIds) {
+  // Sibling roots (a Claude chat whose first prompt was edited) are a branch point like any other
+  const siblings = ids => ids.map((id, i) => ({ id, branch: ids.length > 1 ? { index: i + 1, count: ids.length } : null }));
+  const ordered = [];
+  const stack = siblings(rootIds).reverse();
+  while (stack.length) {
+    const entry = stack.pop();
+    ordered.push(entry);
+    stack.push(...siblings(getChildIds(entry.id)).reverse());
+  }
+  return ordered;
+}
+
+// Either the visible path or every branch, as [{ id, branch }] in reading order
+function orderMessageTree({ rootIds, leafId, getParentId, getChildIds }, includeBranches) {
+  const currentPath = getPathToLeaf(leafId, getParentId);
+  if (!includeBranches) return currentPath.map(id => ({ id, branch: null }));
+
+  const onCurrentPath = new Set(currentPath);
+  return walkMessageTree(rootIds, getChildIds).map(entry => ({
+    ...entry,
+    branch: entry.branch && { ...entry.branch, current: onCurrentPath.has(entry.id) }
+  }));
+}
+
+// Builds messages from ordered tree entries. Skipped nodes (system, hidden) pass their branch
+// label and their place in the tree on to the nearest rendered descendant.
+async function buildTreeMessages(entries, getParentId, renderNode) {
+  const messages = [];
+  const renderedAncestor = {};
+  const pendingBranch = {};
+
+  for (const { id, branch } of entries) {
+    const parentId = getParentId(id);
+    const inheritedBranch = branch || (parentId && pendingBranch[parentId]) || null;
+    const rendered = await renderNode(id);
+
+    if (!rendered) {
+      renderedAncestor[id] = parentId ? renderedAncestor[parentId] : undefined;
+      pendingBranch[id] = inheritedBranch;
+      continue;
+    }
+
+    const [speaker, text, meta] = rendered;
+    renderedAncestor[id] = id;
+    messages.push([speaker, text, {
+      ...meta,
+      id,
+      parentId: parentId ? renderedAncestor[parentId] || null : null,
+      ...(inheritedBranch ? { branch: inheritedBranch } : {})
+    }]);
+  }
+
+  return messages;
+}
+
+// options.frontMatter adds machine-readable headers (YAML for Markdown, <meta> tags for HTML)
+function formatConversation(platform, conversation, format, options = {}) {
+  const { formatMetadata, formatMessage, serialize, wrapDocument } = FORMAT_HANDLERS[format];
+  if (serialize) return serialize(platform, conversation);
+
+  // Fragments (for the clipboard) are the messages alone, without header or document
+  const metadata = collectConversationMetadata(platform, conversation, options.tags);
+  let content = options.fragment ? '' : formatMetadata(conversation.url, platform, options.frontMatter ? metadata : null);
+  conversation.messages.forEach(([speaker, text, meta]) => {
+    const branchLabel = describeBranch(meta);
+    content += formatMessage(branchLabel ? `${speaker} (${branchLabel})` : speaker, text, meta);
+  });
+  if (options.fragment) return wrapDocument ? buildHtmlFragment(content) : content.trim();
+  return wrapDocument ? wrapDocument(content, metadata, Boolean(options.frontMatter)) : content;
+}
+
+function collectConversationMetadata(platform, conversation, tags = []) {
+  const models = conversation.messages.map(([, , meta]) => meta && meta.model).filter(Boolean);
+  return {
+    title: conversation.title || 'Untitled',
+    platform,
+    id: conversation.id || '',
+    source: conversation.url,
+    model: models.length ? models[models.length - 1] : '',
+    created: conversation.createTime || '',
+    updated: conversation.updateTime || '',
+    exported: new Date().toISOString(),
+    messages: conversation.messages.length,
+    // Tags cannot contain spaces in Obsidian
+    tags: tags.map(tag => tag.trim().replace(/^#/, '').replace(/\s+/g, '-')).filter(Boolean)
+  };
+}
+
+// Strings are written JSON-quoted, which YAML reads as double-quoted scalars
+function metadataToYaml(metadata) {
+  const lines = Object.entries(metadata).flatMap(([key, value]) => {
+    if (Array.isArray(value)) return value.length ? [`${key}:`, ...value.map(item => `  - ${JSON.stringify(item)}`)] : [];
+    if (value === '') return [];
+    return [`${key}: ${typeof value === 'number' ? value : JSON.stringify(value)}`];
+  });
+  return `---\n${lines.join('\n')}\n---\n\n`;
+}
+
+// Dublin Core names where one exists, chat: names for the rest
+function metadataToMetaTags(metadata) {
+  const tags = [
+    ['dcterms.title', metadata.title],
+    ['dcterms.identifier', metadata.id],
+    ['dcterms.source', metadata.source],
+    ['dcterms.created', metadata.created],
+    ['dcterms.modified', metadata.updated],
+    ['chat:platform', metadata.platform],
+    ['chat:model', metadata.model],
+    ['chat:exported', metadata.exported],
+    ['chat:message-count', String(metadata.messages)],
+    ['keywords', metadata.tags.join(', ')]
+  ];
+  return tags
+    .filter(([, content]) => content)
+    .map(([name, content]) => `<meta name="${name}" content="${escapeHtml(content)}">\n`)
+    .join('');
+}
+
+function conversationToJson(platform, conversation) {
+  const messages = conversation.messages.map(([speaker, text, meta = {}], index) => ({
+    index,
+    id: meta.id || null,
+    parentId: meta.parentId || null,
+    role: meta.role || (speaker === 'User' ? 'user' : 'assistant'),
+    speaker,
+    text,
+    html: meta.html || '',
+    ...(meta.model ? { model: meta.model } : {}),
+    ...(meta.createTime ? { createTime: meta.createTime } : {}),
+    ...(meta.contentType ? { contentType: meta.contentType } : {}),
+    ...(meta.branch ? { branch: meta.branch } : {}),
+    ...(meta.parts ? { parts: meta.parts } : {}),
+    attachments: meta.attachments || []
+  }));
+
+  return JSON.stringify({
+    schemaVersion: JSON_SCHEMA_VERSION,
+    id: conversation.id || null,
+    title: conversation.title || '',
+    url: conversation.url,
+    platform,
+    extractedAt: new Date().toISOString(),
+    ...(conversation.createTime ? { createTime: conversation.createTime } : {}),
+    ...(conversation.updateTime ? { updateTime: conversation.updateTime } : {}),
+    ...(conversation.redaction ? { redaction: conversation.redaction } : {}),
+    messages
+  }, null, 2);
+}
+
+function describeBranch(meta) {
+  if (!meta || !meta.branch) return '';
+  const { index, count, current } = meta.branch;
+  const kind = meta.role === 'user' ? 'Prompt version' : 'Response';
+  return `${kind} ${index} of ${count}${current ? ', shown in chat' : ''}`;
+}
+
+function describeMessageMeta(meta) {
+  if (!meta) return '';
+  const details = [];
+  if (meta.model) details.push(meta.model);
+  if (meta.createTime) details.push(meta.createTime.replace('T', ' ').replace(/\.\d+Z$/, ' UTC'));
+  if (meta.contentType && meta.contentType !== 'text') details.push(meta.contentType);
+  return details.join(' · ');
+}
+
+function htmlToPlaintext(html) {
+  return decodeHtmlEntities(replaceMathWithTex(html)
+    .replace(/<img\b[^>]*src="([^"]*)"[^>]*\/?>/gi, '[image: $1]')
+    .replace(/<ul\b[^>]*>([\s\S]*?)<\/ul>/gi, function(match, content) {
+      return content.replace(/<li\b[^>]*>([\s\S]*?)<\/li>/gi, '- $1\n');
+    })
+    .replace(/<p\b[^>]*>([\s\S]*?)<\/p>/gi, '$1\n\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .trim());
+}
+
+function decodeHtmlEntities(text) {
+  const textarea = document.createElement('textarea');
+  textarea.innerHTML = text;
+  return textarea.value;
+}
+
+function convertMarkdownSource(markdown, format) {
+  if (format === 'html') return markdownToHtml(markdown);
+  if (format === 'plaintext') {
+    return normalizeTexDelimiters(markdown).replace(/!\[[^\]]*\]\(([^)]*)\)/g, (match, src) => describeImageForPlaintext(src));
+  }
+  return normalizeTexDelimiters(markdown);
+}
@@ -0,0 +1,61 @@
+// File and folder naming shared by the content script (single downloads) and the
+// background worker (batches). Templates use {platform} {title} {id} {date} {model};
+// a "/" in the template starts a sub-folder where the destination can create one.
+
+const DEFAULT_FILENAME_TEMPLATE = '{title}';
+// Batch extraction stores assets under this prefix; the background swaps in the real one once
+// the transcript's name is known, which for {model} is only after extraction
+const ASSET_PREFIX_PLACEHOLDER = 'aichatdl-asset-prefix/';
+
+function sanitizeFilename(title, maxLength = 60) {
+  return title
+    .replace(/[<>:"/\\|?*\x00-\x1f]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, maxLength) || 'Untitled';
+}
+
+function applyFilenameTemplate(template, values) {
+  const segments = (template || DEFAULT_FILENAME_TEMPLATE).split('/').map(segment => {
+    const name = segment.replace(/\{(\w+)\}/g, (match, token) =>
+      values[token] ? sanitizeFilename(String(values[token])) : '');
+    // Dots alone would climb out of the output directory
+    return name.replace(/^\.+$/, '') ? sanitizeFilename(name, 120) : '';
+  }).filter(Boolean);
+  return segments.join('/') || sanitizeFilename(values.title || '');
+}
+
+// Plain downloads cannot create folders, so the template's folders become part of the name
+function flattenFilename(name) {
+  return name.replace(/\//g, '-');
+}
+
+// Appends -2, -3, ... until the name is free; names compare case-insensitively because
+// Windows and macOS file systems do
+function dedupeFilename(name, isTaken) {
+  let candidate = name;
+  for (let n = 2; isTaken(candidate.toLowerCase()); n++) candidate = `${name}-${n}`;
+  return candidate;
+}
+
+function getFilenameValues(platform, conversation) {
+  const messages = conversation.messages || [];
+  const withModel = messages.find(([, , meta]) => meta && meta.model);
+  const time = conversation.createTime || conversation.updateTime;
+  return {
+    platform,
+    title: conversation.title,
+    id: conversation.id,
+    date: (time ? new Date(time) : new Date()).toISOString().slice(0, 10),
+    model: withModel ? withModel[2].model : ''
+  };
+}
+
+function resolveAssetPrefix(content, files, prefix) {
+  const resolve = text => text.split(ASSET_PREFIX_PLACEHOLDER).join(prefix);
+  return {
+    content: resolve(content),
+    files: files.map(file => ({ ...file, path: resolve(file.path) }))
+  };
+}
@@ -0,0 +1,254 @@
+// Standalone HTML export: cleans the page's message HTML, highlights code blocks and wraps the
+// transcript in a document with embedded CSS, a table of contents of the user's prompts and
+// light, dark and print themes, so an exported chat can be shared as a single file.
+
+const HTML_DROPPED_SELECTOR = 'script, style, noscript, iframe, object, embed, form, input, button, textarea, select, svg, template, link, meta';
+const HTML_ALLOWED_ATTRIBUTES = {
+  A: ['href', 'title'],
+  IMG: ['src', 'alt', 'title', 'width', 'height'],
+  CODE: ['class'],
+  OL: ['start'],
+  TD: ['colspan', 'rowspan', 'align'],
+  TH: ['colspan', 'rowspan', 'align']
+};
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Keeps relative paths (external assets sit next to the transcript), anchors, web links and
+// image data URIs; site-relative links are made absolute so they still work outside the site
+function cleanUrl(value, isImage) {
+  const url = value.trim();
+  if (url.startsWith('#')) return url;
+  if (url.startsWith('//')) return `https:${url}`;
+  if (url.startsWith('/')) return new URL(url, window.location.origin).href;
+
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) return url;
+  const protocol = `${scheme[1].toLowerCase()}:`;
+  if (SAFE_URL_PROTOCOLS.includes(protocol)) return url;
+  return isImage && /^data:image\//i.test(url) ? url : null;
+}
+
+function removeUnsafeMarkup(root) {
+  root.querySelectorAll('script, iframe, object, embed').forEach(el => el.remove());
+  root.querySelectorAll('*').forEach(el => {
+    Array.from(el.attributes).forEach(attr => {
+      const name = attr.name.toLowerCase();
+      if (name.startsWith('on')) {
+        el.removeAttribute(attr.name);
+      } else if (name === 'href' || name === 'src') {
+        const url = cleanUrl(attr.value, el.tagName.toUpperCase() === 'IMG');
+        if (url === null) el.removeAttribute(attr.name);
+        else if (url !== attr.value) el.setAttribute(attr.name, url);
+      }
+    });
+  });
+}
+
+// Page HTML to export HTML: math becomes MathML, code blocks lose their toolbars but keep the
+// language, and only the attributes that carry content (links, images, table spans) survive
+function cleanMessageHtml(html) {
+  const template = document.createElement('template');
+  template.innerHTML = replaceMathWithMathml(html);
+  const root = template.content;
+
+  root.querySelectorAll(HTML_DROPPED_SELECTOR).forEach(el => {
+    if (!el.closest('math')) el.remove();
+  });
+  root.querySelectorAll('pre').forEach(pre => {
+    const code = pre.querySelector('code') || pre;
+    const language = getCodeLanguage(pre, code);
+    const clean = document.createElement('code');
+    if (language) clean.className = `language-${language}`;
+    clean.textContent = code.textContent.replace(/\n$/, '');
+    pre.replaceChildren(clean);
+  });
+
+  removeUnsafeMarkup(root);
+  root.querySelectorAll('*').forEach(el => {
+    // MathML needs its attributes (display, mathvariant, ...)
+    if (el.closest('math')) return;
+    const allowed = HTML_ALLOWED_ATTRIBUTES[el.tagName.toUpperCase()] || [];
+    Array.from(el.attributes).forEach(attr => {
+      if (!allowed.includes(attr.name)) el.removeAttribute(attr.name);
+    });
+    if (el.tagName.toUpperCase() === 'CODE' && !/^language-[\w+#.-]+$/.test(el.className)) el.removeAttribute('class');
+  });
+
+  return template.innerHTML.trim();
+}
+
+const CODE_STRING_PATTERN = '"(?:[^"\\\\\\n]|\\\\.)*"|\'(?:[^\'\\\\\\n]|\\\\.)*\'|`(?:[^`\\\\]|\\\\[\\s\\S])*`';
+const CODE_NUMBER_PATTERN = '\\b(?:0x[0-9a-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b';
+const CODE_FAMILIES = {
+  js: {
+    comment: '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/',
+    keywords: 'async await break case catch class const continue debugger default delete do else enum export extends false finally for from function if implements import in instanceof interface let new null of private protected public readonly return static super switch this throw true try type typeof undefined var void while yield'
+  },
+  c: {
+    comment: '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/',
+    keywords: 'abstract auto bool boolean break byte case catch char class const continue default defer delete do double else enum extends false final finally float fn for func go if impl implements import int interface let long match mod mut namespace new nil null package private protected pub public return self short signed sizeof static struct super switch template this throw throws true try typedef typename union unsigned use using var virtual void volatile while'
+  },
+  python: {
+    comment: '#[^\\n]*',
+    keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield'
+  },
+  shell: {
+    comment: '#[^\\n]*',
+    keywords: 'case do done echo elif else esac exit export fi for function if in local read return set then unset until while'
+  },
+  sql: {
+    comment: '--[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/',
+    keywords: 'add all alter and as asc between by case create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not null on or order outer primary right select set table then union update values view when where with',
+    caseInsensitive: true
+  }
+};
+const CODE_LANGUAGE_FAMILIES = {
+  js: 'js', javascript: 'js', jsx: 'js', ts: 'js', typescript: 'js', tsx: 'js', json: 'js',
+  c: 'c', h: 'c', cpp: 'c', 'c++': 'c', cs: 'c', csharp: 'c', 'c#': 'c', java: 'c', kotlin: 'c',
+  go: 'c', golang: 'c', rust: 'c', rs: 'c', swift: 'c', php: 'c', scala: 'c', dart: 'c',
+  python: 'python', py: 'python', ruby: 'python', rb: 'python', r: 'python', yaml: 'python', yml: 'python', toml: 'python',
+  bash: 'shell', sh: 'shell', shell: 'shell', zsh: 'shell', console: 'shell', powershell: 'shell', ps1: 'shell',
+  sql: 'sql', postgresql: 'sql', mysql: 'sql', sqlite: 'sql'
+};
+const CODE_TOKEN_CLASSES = ['comment', 'string', 'number', 'keyword'];
+
+// A single regex pass per block: comments, strings, numbers and keywords become spans
+function highlightCode(code, language) {
+  const family = CODE_FAMILIES[CODE_LANGUAGE_FAMILIES[language]];
+  if (!family) return escapeHtml(code);
+
+  const keywords = `\\b(?:${family.keywords.split(' ').join('|')})\\b`;
+  const pattern = new RegExp(
+    [family.comment, CODE_STRING_PATTERN, CODE_NUMBER_PATTERN, keywords].map(part => `(${part})`).join('|'),
+    family.caseInsensitive ? 'gi' : 'g'
+  );
+
+  let html = '';
+  let last = 0;
+  for (const match of code.matchAll(pattern)) {
+    const kind = CODE_TOKEN_CLASSES[match.slice(1).findIndex(group => group !== undefined)];
+    html += `${escapeHtml(code.slice(last, match.index))}<span class="tok-${kind}">${escapeHtml(match[0])}</span>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(code.slice(last));
+}
+
+const HTML_EXPORT_CSS = `
+:root {
+  color-scheme: light dark;
+  --bg: #f6f7f9; --fg: #1f2933; --muted: #616e7c; --border: #d9dee4;
+  --user-bg: #e8f0fe; --user-accent: #3b82f6; --assistant-bg: #ffffff; --assistant-accent: #10a37f;
+  --code-bg: #f3f4f6; --code-fg: #1f2933; --link: #1d4ed8;
+  --tok-comment: #6b7280; --tok-string: #047857; --tok-number: #b45309; --tok-keyword: #7c3aed;
+}
+@media (prefers-color-scheme: dark) {
+  :root {
+    --bg: #111418; --fg: #e4e7eb; --muted: #9aa5b1; --border: #323f4b;
+    --user-bg: #1b2a41; --user-accent: #60a5fa; --assistant-bg: #1a1f26; --assistant-accent: #34d399;
+    --code-bg: #0b0e12; --code-fg: #e4e7eb; --link: #93c5fd;
+    --tok-comment: #8b949e; --tok-string: #7ee2b8; --tok-number: #f5b86b; --tok-keyword: #c4a5ff;
+  }
+}
+* { box-sizing: border-box; }
+body { margin: 0; background: var(--bg); color: var(--fg); font: 16px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+main { max-width: 860px; margin: 0 auto; padding: 24px 16px 64px; }
+a { color: var(--link); }
+img { max-width: 100%; height: auto; border-radius: 6px; }
+.conversation-header { margin-bottom: 16px; color: var(--muted); font-size: 0.9em; }
+.conversation-header h1 { margin: 0 0 4px; color: var(--fg); font-size: 1.6em; line-height: 1.3; }
+.conversation-header p { margin: 0; }
+.toc { margin: 0 0 24px; padding: 8px 16px; border: 1px solid var(--border); border-radius: 8px; background: var(--assistant-bg); }
+.toc summary { cursor: pointer; font-weight: 600; }
+.toc ol { margin: 8px 0 0; padding-left: 24px; }
+.toc li { margin: 2px 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.message { margin: 0 0 16px; padding: 12px 16px; border: 1px solid var(--border); border-left: 4px solid var(--assistant-accent); border-radius: 8px; background: var(--assistant-bg); }
+.message-user { background: var(--user-bg); border-left-color: var(--user-accent); }
+.message h2 { margin: 0 0 4px; font-size: 0.95em; text-transform: uppercase; letter-spacing: 0.04em; color: var(--muted); }
+.message-meta { margin: 0 0 8px; font-size: 0.8em; color: var(--muted); }
+.message-body > :first-child { margin-top: 0; }
+.message-body > :last-child { margin-bottom: 0; }
+pre { overflow-x: auto; padding: 12px; border-radius: 6px; background: var(--code-bg); color: var(--code-fg); }
+code { font: 0.9em/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+:not(pre) > code { padding: 1px 4px; border-radius: 4px; background: var(--code-bg); }
+.tok-comment { color: var(--tok-comment); font-style: italic; }
+.tok-string { color: var(--tok-string); }
+.tok-number { color: var(--tok-number); }
+.tok-keyword { color: var(--tok-keyword); font-weight: 600; }
+table { border-collapse: collapse; margin: 8px 0; }
+th, td { padding: 4px 10px; border: 1px solid var(--border); text-align: left; }
+blockquote { margin: 8px 0; padding-left: 12px; border-left: 3px solid var(--border); color: var(--muted); }
+.part-label { margin: 0 0 4px; font-size: 0.8em; font-weight: 600; text-transform: uppercase; letter-spacing: 0.04em; color: var(--muted); }
+.code-cell, .citations, .artifact, .thinking { margin: 8px 0; padding: 8px 12px; border: 1px solid var(--border); border-radius: 6px; }
+.code-cell pre, .code-output pre { margin: 0; }
+.code-output { margin-top: 8px; padding-top: 8px; border-top: 1px dashed var(--border); }
+.code-output img { display: block; margin-top: 8px; }
+.citations ol { margin: 0; padding-left: 24px; font-size: 0.9em; }
+.artifact summary, .thinking summary { cursor: pointer; }
+.artifact summary .part-label, .thinking summary .part-label { display: inline; }
+.part-file { margin-left: 8px; font-size: 0.85em; }
+.thinking { color: var(--muted); font-size: 0.9em; }
+@media print {
+  :root { color-scheme: light; --bg: #fff; --fg: #000; --muted: #444; --user-bg: #f2f2f2; --assistant-bg: #fff; --code-bg: #f5f5f5; --code-fg: #000; --link: #000; }
+  main { max-width: none; padding: 0; }
+  .toc { display: none; }
+  .message { break-inside: avoid-page; }
+  .thinking { display: none; }
+  pre { white-space: pre-wrap; word-break: break-word; }
+}
+`;
+
+function buildPromptToc(prompts) {
+  if (!prompts.length) return '';
+  const items = prompts.map((section, i) => {
+    const body = section.querySelector('.message-body') || section;
+    const text = body.textContent.trim().replace(/\s+/g, ' ');
+    const excerpt = text.length > 80 ? `${text.slice(0, 80)}…` : text || `Prompt ${i + 1}`;
+    return `<li><a href="#${section.id}">${escapeHtml(excerpt)}</a></li>`;
+  });
+  return `<details class="toc" open><summary>Prompts (${prompts.length})</summary><ol>${items.join('')}</ol></details>`;
+}
+
+// `body` is the formatted transcript; includeMetaTags adds the metadata as <meta> tags
+// Message markup for pasting into other apps: the same cleanup, without the page around it
+function buildHtmlFragment(body) {
+  const template = document.createElement('template');
+  template.innerHTML = body;
+  removeUnsafeMarkup(template.content);
+  return template.innerHTML;
+}
+
+function buildHtmlDocument(body, metadata, includeMetaTags) {
+  const template = document.createElement('template');
+  template.innerHTML = body;
+  const root = template.content;
+
+  removeUnsafeMarkup(root);
+  root.querySelectorAll('pre > code').forEach(code => {
+    const match = code.className.match(/language-([\w+#.-]+)/);
+    code.innerHTML = highlightCode(code.textContent, match ? match[1].toLowerCase() : '');
+  });
+
+  const prompts = Array.from(root.querySelectorAll('section.message-user'));
+  prompts.forEach((section, i) => { section.id = `prompt-${i + 1}`; });
+  const header = root.querySelector('.conversation-header');
+  if (header) {
+    header.insertAdjacentHTML('afterbegin', `<h1>${escapeHtml(metadata.title)}</h1>`);
+    header.insertAdjacentHTML('afterend', buildPromptToc(prompts));
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(metadata.title)}</title>
+${includeMetaTags ? metadataToMetaTags(metadata) : ''}<style>${HTML_EXPORT_CSS}</style>
+</head>
+<body>
+<main>
+${template.innerHTML}
+</main>
+</body>
+</html>
+`;
+}
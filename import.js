@@ -0,0 +1,151 @@
+// Converts the account data exports of ChatGPT and Claude offline. Their conversations.json
+// holds the same conversation data the APIs return, so each conversation goes through the
+// same converters and formatters as a live export and is named by the same template.
+
+const IMPORT_CONVERTERS = {
+  [PLATFORMS.CHATGPT]: convertChatGPTConversation,
+  [PLATFORMS.CLAUDE]: convertClaudeConversation
+};
+
+const IMPORT_MIME_TYPES = {
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+  svg: 'image/svg+xml', pdf: 'application/pdf', txt: 'text/plain', csv: 'text/csv', json: 'application/json'
+};
+
+const showStatus = message => {
+  document.getElementById('status').textContent = message;
+};
+
+const logImport = message => {
+  const importLog = document.getElementById('importLog');
+  importLog.textContent += `${message}\n`;
+  importLog.scrollTop = importLog.scrollHeight;
+};
+
+loadSettings().then(settings => {
+  if (FORMAT_HANDLERS[settings.format]) {
+    document.getElementById('format').value = settings.format;
+  }
+});
+
+function detectExportPlatform(data) {
+  if (data.mapping) return PLATFORMS.CHATGPT;
+  if (data.chat_messages) return PLATFORMS.CLAUDE;
+  return null;
+}
+
+// A bare conversations.json works too, just without the exported images
+async function readDataExport(file) {
+  if (!/\.zip$/i.test(file.name)) return { conversations: JSON.parse(await file.text()), archive: null };
+
+  const archive = await openZip(file);
+  const path = Array.from(archive.entries.keys()).find(name => name.split('/').pop() === 'conversations.json');
+  if (!path) throw new Error('conversations.json is not in this archive');
+  return { conversations: JSON.parse(new TextDecoder().decode(await archive.read(path))), archive };
+}
+
+// ChatGPT names exported files after their id (file-abc123-photo.png, file_00000000…-….png)
+function createArchiveFileFetcher(archive) {
+  const paths = archive ? Array.from(archive.entries.keys()) : [];
+  return async fileId => {
+    const path = paths.find(name => name.split('/').pop().startsWith(fileId));
+    if (!path) throw new Error(`${fileId} is not in the archive`);
+    const extension = path.split('.').pop().toLowerCase();
+    const mimeType = IMPORT_MIME_TYPES[extension] || 'application/octet-stream';
+    return `data:${mimeType};base64,${bytesToBase64(await archive.read(path))}`;
+  };
+}
+
+async function importDataExport(file, format, includeBranches) {
+  const settings = await loadSettings();
+  const tags = settings.tags.split(',');
+  const { conversations, archive } = await readDataExport(file);
+  if (!Array.isArray(conversations)) throw new Error('conversations.json does not hold a list of conversations');
+  logImport(`Found ${conversations.length} conversations in ${file.name}`);
+
+  const fetchFile = createArchiveFileFetcher(archive);
+  const redaction = buildRedactionRules(settings);
+  const takenNames = new Set();
+  // Each conversation goes into the archive as soon as it is converted, so only its compressed
+  // bytes are kept while the rest of the export is worked through
+  const writer = createZipWriter();
+  const results = [];
+
+  for (let i = 0; i < conversations.length; i++) {
+    const data = conversations[i];
+    const platform = detectExportPlatform(data);
+    showStatus(`Converting ${i + 1} of ${conversations.length}...`);
+    if (!platform) {
+      logImport(`Skipped entry ${i + 1}: not a ChatGPT or Claude conversation`);
+      continue;
+    }
+
+    try {
+      // Canvas documents and artifacts are always saved as files; images only when asked to
+      const files = createAssetStore('assets/');
+      const conversation = await IMPORT_CONVERTERS[platform](data, format, {
+        includeBranches,
+        assets: settings.imageHandling === 'files' ? files : null,
+        artifacts: files,
+        ...(platform === PLATFORMS.CHATGPT ? { fetchFile } : {})
+      });
+      if (!conversation.messages.length) {
+        logImport(`Skipped "${conversation.title}": no messages`);
+        continue;
+      }
+
+      if (redaction) {
+        const report = await redactConversation(conversation, redaction, files.files, format);
+        if (report.total) logImport(`"${conversation.title}": ${describeRedactionReport(report)}`);
+      }
+
+      const content = formatConversation(platform, conversation, format, { frontMatter: settings.frontMatter, tags });
+      const dirName = dedupeFilename(
+        applyFilenameTemplate(settings.fileNameTemplate, getFilenameValues(platform, conversation)),
+        key => takenNames.has(key)
+      );
+      takenNames.add(dirName.toLowerCase());
+      const fileName = `${dirName.split('/').pop()}.${FORMAT_HANDLERS[format].fileExtension}`;
+
+      await writer.add(`${dirName}/${fileName}`, content);
+      for (const asset of files.files) {
+        await writer.add(`${dirName}/${asset.path}`, asset.encoding === 'base64' ? base64ToBytes(asset.data) : asset.data);
+      }
+      results.push({
+        title: conversation.title,
+        url: conversation.url,
+        messageCount: conversation.messages.length,
+        file: `${dirName}/${fileName}`,
+        success: true
+      });
+    } catch (error) {
+      logImport(`Failed on entry ${i + 1} (${data.title || data.name || 'untitled'}): ${error.message}`);
+    }
+  }
+
+  if (!results.length) throw new Error('No conversations could be converted');
+  await writer.add('index.md', buildZipIndex(results));
+  const url = URL.createObjectURL(writer.finish());
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `ai-chats-import-${new Date().toISOString().slice(0, 10)}.zip`;
+  a.click();
+  URL.revokeObjectURL(url);
+  return results.length;
+}
+
+document.getElementById('importBtn').addEventListener('click', () => {
+  const file = document.getElementById('exportFile').files[0];
+  if (!file) {
+    showStatus('Choose an export archive first.');
+    return;
+  }
+
+  const button = document.getElementById('importBtn');
+  button.disabled = true;
+  document.getElementById('importLog').textContent = '';
+  importDataExport(file, document.getElementById('format').value, document.getElementById('includeBranches').checked)
+    .then(count => showStatus(`Converted ${count} conversations.`))
+    .catch(error => showStatus(`Import failed: ${error.message}`))
+    .finally(() => { button.disabled = false; });
+});
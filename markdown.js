@@ -0,0 +1,432 @@
+// Markdown conversion shared by the content script: HTML -> Markdown for scraped
+// messages, Markdown -> HTML for messages that arrive as Markdown from the APIs.
+
+const MARKDOWN_BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DETAILS', 'DIV', 'DL', 'FIELDSET', 'FIGCAPTION', 'FIGURE',
+  'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P',
+  'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL'
+]);
+const MARKDOWN_SKIPPED_TAGS = new Set(['BUTTON', 'NOSCRIPT', 'SCRIPT', 'STYLE', 'SVG', 'TEMPLATE']);
+
+function htmlToMarkdown(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  // Code blocks are kept out of the text until the end so whitespace cleanup cannot touch them
+  const state = { codeBlocks: [] };
+  const markdown = collapseBlankLines(childrenToMarkdown(template.content, state)).trim();
+  return restoreCodeBlocks(markdown, state);
+}
+
+// Trailing spaces before a blank line come from text ahead of a nested block, not from a <br>
+function collapseBlankLines(text) {
+  return text.replace(/\n[ \t]+(?=\n)/g, '\n').replace(/[ \t]+(?=\n\n)/g, '').replace(/\n{3,}/g, '\n\n');
+}
+
+function restoreCodeBlocks(markdown, state) {
+  return markdown.replace(/^([ \t>]*)\u0000(\d+)\u0000/gm, (match, prefix, index) =>
+    state.codeBlocks[index].split('\n').map(line => prefix + line).join('\n'));
+}
+
+function markdownBlock(text) {
+  return text ? `\n\n${text}\n\n` : '';
+}
+
+function isLineBreak(node) {
+  return Boolean(node && node.nodeType === Node.ELEMENT_NODE && node.tagName.toUpperCase() === 'BR');
+}
+
+function isBlockElement(node) {
+  return Boolean(node && node.nodeType === Node.ELEMENT_NODE && MARKDOWN_BLOCK_TAGS.has(node.tagName.toUpperCase()));
+}
+
+function childrenToMarkdown(node, state) {
+  return Array.from(node.childNodes).map(child => nodeToMarkdown(child, state)).join('');
+}
+
+function blockContentToMarkdown(node, state) {
+  return collapseBlankLines(childrenToMarkdown(node, state)).trim();
+}
+
+function nodeToMarkdown(node, state) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    let text = node.textContent.replace(/\s+/g, ' ');
+    // The line break after a <br> in the source would otherwise indent the next line
+    if (isLineBreak(node.previousSibling)) text = text.trimStart();
+    // Indentation between block elements is not content
+    if (text === ' ' && (!node.previousSibling || !node.nextSibling ||
+        isBlockElement(node.previousSibling) || isBlockElement(node.nextSibling))) {
+      return '';
+    }
+    return text;
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+  if (isMathElement(node)) {
+    const tex = mathToTex(node);
+    return isDisplayMath(node) ? markdownBlock(tex) : tex;
+  }
+  if (isMathJaxArtifact(node)) return '';
+
+  const tag = node.tagName.toUpperCase();
+  if (MARKDOWN_SKIPPED_TAGS.has(tag) || isCodeBlockHeader(node)) return '';
+
+  switch (tag) {
+    case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+      const text = blockContentToMarkdown(node, state).replace(/\s*\n\s*/g, ' ');
+      return markdownBlock(text && `${'#'.repeat(Number(tag[1]))} ${text}`);
+    }
+    case 'P':
+      return markdownBlock(blockContentToMarkdown(node, state));
+    case 'BR':
+      return '  \n';
+    case 'HR':
+      return markdownBlock('---');
+    case 'STRONG': case 'B':
+      return wrapInline(childrenToMarkdown(node, state), '**');
+    case 'EM': case 'I':
+      return wrapInline(childrenToMarkdown(node, state), '_');
+    case 'DEL': case 'S': case 'STRIKE':
+      return wrapInline(childrenToMarkdown(node, state), '~~');
+    case 'CODE':
+      return inlineCodeToMarkdown(node.textContent);
+    case 'A':
+      return linkToMarkdown(node, state);
+    case 'IMG': {
+      const src = node.getAttribute('src');
+      return src ? `![${node.getAttribute('alt') || 'image'}](${src})` : '';
+    }
+    case 'PRE':
+      return codeBlockToMarkdown(node, state);
+    case 'UL': case 'OL':
+      return listToMarkdown(node, state);
+    case 'BLOCKQUOTE': {
+      const text = blockContentToMarkdown(node, state);
+      return markdownBlock(text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+    }
+    case 'TABLE':
+      return tableToMarkdown(node, state);
+    default:
+      return isBlockElement(node)
+        ? markdownBlock(blockContentToMarkdown(node, state))
+        : childrenToMarkdown(node, state);
+  }
+}
+
+// Keeps surrounding spaces outside the markers, which Markdown requires
+function wrapInline(text, marker) {
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : text;
+}
+
+function inlineCodeToMarkdown(text) {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const padding = longestRun ? ' ' : '';
+  return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+// Links that would run script when clicked in an export are reduced to their text
+function isScriptUrl(href) {
+  return /^\s*(?:javascript|vbscript):/i.test(href);
+}
+
+function linkToMarkdown(node, state) {
+  const text = childrenToMarkdown(node, state).trim();
+  const href = node.getAttribute('href');
+  if (!href || isScriptUrl(href)) return text;
+  if (!text || text === href) return `<${href}>`;
+  return `[${text}](${href.replace(/\s/g, '%20').replace(/\)/g, '%29')})`;
+}
+
+function getCodeLanguage(pre, code) {
+  const match = `${code.className} ${pre.className}`.match(/\b(?:language|lang)-([\w+#.-]+)/);
+  if (match) return match[1];
+  if (pre.dataset.language) return pre.dataset.language;
+
+  // ChatGPT and Claude render the language as a label in a header above the code
+  const header = Array.from(pre.children).find(child => child !== code && !child.contains(code));
+  if (header) return getCodeHeaderLabel(header);
+  const outside = pre.previousElementSibling;
+  return outside && isCodeBlockHeader(outside) ? getCodeHeaderLabel(outside) : '';
+}
+
+function getCodeHeaderLabel(header) {
+  const label = header.textContent.replace(/copy( code)?|edit/gi, '').trim();
+  return /^[\w+#.-]{1,20}$/.test(label) ? label.toLowerCase() : '';
+}
+
+// Poe puts the label and copy button in a header beside the <pre>, where it would read as text
+function isCodeBlockHeader(node) {
+  const next = node.nextElementSibling;
+  return Boolean(next && next.tagName.toUpperCase() === 'PRE' && node.querySelector('button') && getCodeHeaderLabel(node));
+}
+
+// The fence is one backtick longer than any run inside the code
+function markdownFence(text, language = '') {
+  const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+function codeBlockToMarkdown(pre, state) {
+  const code = pre.querySelector('code') || pre;
+  state.codeBlocks.push(markdownFence(code.textContent.replace(/\n$/, ''), getCodeLanguage(pre, code)));
+  return markdownBlock(`\u0000${state.codeBlocks.length - 1}\u0000`);
+}
+
+function listToMarkdown(list, state) {
+  const ordered = list.tagName.toUpperCase() === 'OL';
+  let number = parseInt(list.getAttribute('start'), 10) || 1;
+
+  const items = Array.from(list.children)
+    .filter(child => child.tagName.toUpperCase() === 'LI')
+    .map(item => {
+      const marker = ordered ? `${number++}. ` : '- ';
+      const indent = ' '.repeat(marker.length);
+      // Items are kept tight so nested lists stay attached to their parent item
+      const content = blockContentToMarkdown(item, state).replace(/\n{2,}/g, '\n');
+      return marker + content.split('\n').map((line, i) => (i && line ? indent + line : line)).join('\n');
+    });
+
+  return markdownBlock(items.join('\n'));
+}
+
+function tableToMarkdown(table, state) {
+  const rows = Array.from(table.querySelectorAll('tr'))
+    .map(row => Array.from(row.children)
+      .filter(cell => ['TD', 'TH'].includes(cell.tagName.toUpperCase()))
+      .map(cell => blockContentToMarkdown(cell, state).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|')))
+    .filter(cells => cells.length);
+  if (!rows.length) return '';
+
+  const width = Math.max(...rows.map(cells => cells.length));
+  const line = cells => `| ${cells.concat(Array(width - cells.length).fill('')).join(' | ')} |`;
+  const [header, ...body] = rows;
+  return markdownBlock([line(header), line(Array(width).fill('---')), ...body.map(line)].join('\n'));
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Code spans, math, escapes and link targets are set aside first so emphasis and link syntax
+// inside them stays literal; \u0000<n>\u0000 marks where each goes back
+function renderInlineMarkdown(text) {
+  const stash = [];
+  const hold = html => `\u0000${stash.push(html) - 1}\u0000`;
+  const restore = html => html.replace(/\u0000(\d+)\u0000/g, (match, index) => restore(stash[index]));
+  const math = (tex, display) => hold(texToMathml(tex.trim(), display));
+
+  const html = escapeHtml(text.replace(/\u0000/g, '')
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, fence, code) =>
+      hold(`<code>${escapeHtml(code.replace(/\n/g, ' ').replace(/^ ([\s\S]*) $/, '$1'))}</code>`))
+    .replace(/\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]/g, (match, dollars, brackets) => math(dollars || brackets, true))
+    .replace(/\\\(([\s\S]+?)\\\)/g, (match, tex) => math(tex, false))
+    .replace(/(?<![\w$\\])\$(?=[^\s$])([^$\n]*?[^\s$\\])\$(?![\d$])/g, (match, tex) => math(tex, false))
+    .replace(/\\([!-/:-@[-`{-~])/g, (match, char) => hold(escapeHtml(char))))
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) => (isScriptUrl(src) ? alt : hold(`<img src="${src}" alt="${alt}">`)))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => (isScriptUrl(href) ? label : `<a href="${hold(href)}">${label}</a>`))
+    .replace(/&lt;((?:https?:\/\/|mailto:)[^\s<>]+?)&gt;/g, (match, href) => `<a href="${hold(href)}">${hold(href)}</a>`)
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__([^_\s](?:[^_]*[^_\s])?)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/\*([^*\s][^*]*)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_([^_\s](?:[^_]*[^_\s])?)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~([^~\s](?:[^~]*[^~\s])?)~~/g, '<del>$1</del>')
+    // Two trailing spaces or a backslash end a line; other line ends within a paragraph are spaces
+    .replace(/(?: {2,}|\\)\n/g, '<br>')
+    .replace(/\s*\n\s*/g, ' ');
+  return restore(html);
+}
+
+const MARKDOWN_LIST_ITEM_PATTERN = /^( *)([-*+]|\d{1,9}[.)])(?: +|$)(.*)$/;
+const MARKDOWN_FENCE_PATTERN = /^( *)(`{3,}|~{3,})(.*)$/;
+const MARKDOWN_RULE_PATTERN = /^ {0,3}([-*_])(?: *\1){2,} *$/;
+const MARKDOWN_TABLE_DELIMITER_PATTERN = /^ *\|? *:?-+:? *(?:\| *:?-+:? *)*\|? *$/;
+
+// Block-level Markdown from the API extractors, as ChatGPT and Claude write it: fences of any
+// length, headings, rules, nested lists, quotes, tables, display math and paragraphs
+function markdownToHtml(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n')
+    .map(line => line.replace(/^\t+/, tabs => '    '.repeat(tabs.length)));
+  return renderMarkdownBlocks(lines, false);
+}
+
+function isFenceOpening(line) {
+  const fence = line.match(MARKDOWN_FENCE_PATTERN);
+  return Boolean(fence && !(fence[2][0] === '`' && fence[3].includes('`')));
+}
+
+function isMarkdownBlockStart(line) {
+  return /^ {0,3}(?:#{1,6}(?:\s|$)|>|\$\$|\\\[)/.test(line) || isFenceOpening(line) ||
+    MARKDOWN_RULE_PATTERN.test(line) || MARKDOWN_LIST_ITEM_PATTERN.test(line);
+}
+
+// Tight list items hold their paragraphs without <p>
+function renderMarkdownBlocks(lines, tight) {
+  const html = [];
+  let paragraph = [];
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      const text = renderInlineMarkdown(paragraph.join('\n').trimEnd());
+      html.push(tight ? text : `<p>${text}</p>`);
+    }
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length;) {
+    const line = lines[i];
+    const block = readCodeFence(lines, i) || readDisplayMath(lines, i) || readMarkdownTable(lines, i) ||
+      readMarkdownList(lines, i) || readBlockquote(lines, i);
+    if (block) {
+      flushParagraph();
+      html.push(block.html);
+      i = block.next;
+      continue;
+    }
+
+    const heading = line.match(/^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/);
+    if (heading) {
+      flushParagraph();
+      html.push(`<h${heading[1].length}>${renderInlineMarkdown(heading[2] || '')}</h${heading[1].length}>`);
+    } else if (MARKDOWN_RULE_PATTERN.test(line)) {
+      flushParagraph();
+      html.push('<hr>');
+    } else if (!line.trim()) {
+      flushParagraph();
+    } else {
+      paragraph.push(line.trimStart());
+    }
+    i++;
+  }
+
+  flushParagraph();
+  return html.join('');
+}
+
+// Closes only on a fence of the same character at least as long as the opening one
+function readCodeFence(lines, start) {
+  if (!isFenceOpening(lines[start])) return null;
+  const [, indent, fence, info] = lines[start].match(MARKDOWN_FENCE_PATTERN);
+  const closing = new RegExp(`^ *${fence[0]}{${fence.length},} *$`);
+  const code = [];
+  let i = start + 1;
+  for (; i < lines.length && !closing.test(lines[i]); i++) {
+    code.push(lines[i].replace(new RegExp(`^ {0,${indent.length}}`), ''));
+  }
+  const language = info.trim().split(/\s+/)[0];
+  const langClass = /^[\w+#.-]+$/.test(language) ? ` class="language-${language}"` : '';
+  return { html: `<pre><code${langClass}>${escapeHtml(code.join('\n'))}</code></pre>`, next: i + 1 };
+}
+
+// $$ or \[ starting a line, closed on the same line or a later one
+function readDisplayMath(lines, start) {
+  const open = lines[start].match(/^ *(\$\$|\\\[)(.*)$/);
+  if (!open) return null;
+  const close = open[1] === '$$' ? '$$' : '\\]';
+  const tex = [];
+  let rest = open[2];
+  for (let i = start; i < lines.length; rest = lines[++i]) {
+    const end = rest.indexOf(close);
+    if (end === -1) {
+      tex.push(rest);
+      continue;
+    }
+    // Text after the closing delimiter makes it inline math within a paragraph
+    if (rest.slice(end + close.length).trim()) return null;
+    tex.push(rest.slice(0, end));
+    return { html: `<div>${texToMathml(tex.join('\n').trim(), true)}</div>`, next: i + 1 };
+  }
+  return null;
+}
+
+// An escaped pipe stays in its cell as a plain pipe, code spans included
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+// A header row, a delimiter row (whose colons set the alignment) and every following row with a pipe
+function readMarkdownTable(lines, start) {
+  if (!lines[start].includes('|') || start + 1 >= lines.length || !MARKDOWN_TABLE_DELIMITER_PATTERN.test(lines[start + 1])) return null;
+  const header = splitTableRow(lines[start]);
+  const aligns = splitTableRow(lines[start + 1]).map(cell =>
+    cell.endsWith(':') ? (cell.startsWith(':') ? 'center' : 'right') : cell.startsWith(':') ? 'left' : '');
+  if (aligns.length !== header.length) return null;
+
+  const row = (cells, tag) => `<tr>${aligns.map((align, i) =>
+    `<${tag}${align ? ` align="${align}"` : ''}>${renderInlineMarkdown(cells[i] || '')}</${tag}>`).join('')}</tr>`;
+  const body = [];
+  let i = start + 2;
+  for (; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) body.push(row(splitTableRow(lines[i]), 'td'));
+  return {
+    html: `<table><thead>${row(header, 'th')}</thead>${body.length ? `<tbody>${body.join('')}</tbody>` : ''}</table>`,
+    next: i
+  };
+}
+
+// Items of one kind (ordered or not) at the first item's indentation. An item's lines are those
+// indented to its content, deeper list items and lazy paragraph continuations; blank lines
+// between items or between an item's paragraphs make the list loose.
+function readMarkdownList(lines, start) {
+  const first = lines[start].match(MARKDOWN_LIST_ITEM_PATTERN);
+  if (!first || MARKDOWN_RULE_PATTERN.test(lines[start])) return null;
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const marker = lines[i].match(MARKDOWN_LIST_ITEM_PATTERN);
+    if (!marker || marker[1].length !== indent || /\d/.test(marker[2]) !== ordered || MARKDOWN_RULE_PATTERN.test(lines[i])) break;
+    const contentIndent = indent + marker[2].length + 1;
+    const itemLines = [marker[3]];
+    for (i++; i < lines.length; i++) {
+      const line = lines[i];
+      const lineIndent = line.match(/^ */)[0].length;
+      if (!line.trim()) {
+        const next = lines.slice(i + 1).find(later => later.trim());
+        if (next === undefined || next.match(/^ */)[0].length < contentIndent) break;
+        itemLines.push('');
+      } else if (lineIndent >= contentIndent || (lineIndent > indent && MARKDOWN_LIST_ITEM_PATTERN.test(line))) {
+        if (itemLines[itemLines.length - 1] === '' && lineIndent - contentIndent < 2 && !MARKDOWN_LIST_ITEM_PATTERN.test(line)) loose = true;
+        itemLines.push(line.slice(Math.min(lineIndent, contentIndent)));
+      } else if (itemLines[itemLines.length - 1] && !isMarkdownBlockStart(line)) {
+        itemLines.push(line.trimStart());
+      } else {
+        break;
+      }
+    }
+    items.push(itemLines);
+
+    // A blank line before the next item of this list makes it loose
+    let next = i;
+    while (next < lines.length && !lines[next].trim()) next++;
+    const sibling = next < lines.length && lines[next].match(MARKDOWN_LIST_ITEM_PATTERN);
+    if (!sibling || sibling[1].length !== indent || /\d/.test(sibling[2]) !== ordered) break;
+    if (next > i) loose = true;
+    i = next;
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const number = parseInt(first[2], 10);
+  const startAttr = ordered && number !== 1 ? ` start="${number}"` : '';
+  return { html: `<${tag}${startAttr}>${items.map(item => `<li>${renderMarkdownBlocks(item, !loose)}</li>`).join('')}</${tag}>`, next: i };
+}
+
+// Quoted lines and the lazy continuations of their paragraphs
+function readBlockquote(lines, start) {
+  if (!/^ {0,3}>/.test(lines[start])) return null;
+  const quoted = [];
+  let i = start;
+  for (; i < lines.length; i++) {
+    if (/^ {0,3}>/.test(lines[i])) quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+    else if (lines[i].trim() && quoted[quoted.length - 1] && !isMarkdownBlockStart(lines[i])) quoted.push(lines[i]);
+    else break;
+  }
+  return { html: `<blockquote>${renderMarkdownBlocks(quoted, false)}</blockquote>`, next: i };
+}
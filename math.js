@@ -0,0 +1,321 @@
+// KaTeX / MathJax support: recovers the TeX source behind rendered math so exports
+// carry `$...$` instead of the duplicated glyph and MathML text of the rendering.
+
+// Outermost rendered-math containers; `.katex` inside `.katex-display` belongs to the display block
+const MATH_SELECTOR = '.katex-display, .katex, mjx-container, script[type^="math/tex"]';
+// MathJax 2 renders next to its <script type="math/tex">, which is what we read instead
+const MATHJAX_ARTIFACT_SELECTOR = 'span.MathJax_Preview, span.MathJax, div.MathJax_Display';
+
+function isMathElement(node) {
+  return node.matches(MATH_SELECTOR);
+}
+
+function isMathJaxArtifact(node) {
+  return node.matches(MATHJAX_ARTIFACT_SELECTOR);
+}
+
+function isDisplayMath(node) {
+  return node.classList.contains('katex-display') ||
+    node.getAttribute('display') === 'true' ||
+    /mode=display/.test(node.getAttribute('type') || '');
+}
+
+function getTexSource(node) {
+  if (node.tagName.toUpperCase() === 'SCRIPT') return node.textContent.trim();
+
+  const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+  if (annotation) return annotation.textContent.trim();
+
+  const latexNode = node.hasAttribute('data-latex') ? node : node.querySelector('[data-latex]');
+  if (latexNode) return latexNode.getAttribute('data-latex').trim();
+
+  const math = node.querySelector('math');
+  return ((math && math.getAttribute('alttext')) || node.textContent).trim();
+}
+
+function mathToTex(node) {
+  const tex = getTexSource(node);
+  return isDisplayMath(node) ? `$$\n${tex}\n$$` : `$${tex}$`;
+}
+
+// Replaces every rendered formula in `html` with the node returned by `render`
+function replaceMathNodes(html, render) {
+  if (!/katex|mjx-container|math\/tex|MathJax/.test(html)) return html;
+
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  template.content.querySelectorAll(MATHJAX_ARTIFACT_SELECTOR).forEach(node => node.remove());
+  Array.from(template.content.querySelectorAll(MATH_SELECTOR))
+    .filter(node => !node.parentElement || !node.parentElement.closest(MATH_SELECTOR))
+    .forEach(node => node.replaceWith(render(node)));
+  return template.innerHTML;
+}
+
+function replaceMathWithTex(html) {
+  return replaceMathNodes(html, node => {
+    const tex = mathToTex(node);
+    return document.createTextNode(isDisplayMath(node) ? `\n${tex}\n` : tex);
+  });
+}
+
+// Keeps the MathML that KaTeX and MathJax 3 ship alongside their HTML; browsers render it natively
+function replaceMathWithMathml(html) {
+  return replaceMathNodes(html, node => {
+    const math = node.querySelector('math');
+    if (!math) return document.createTextNode(mathToTex(node));
+
+    const clone = math.cloneNode(true);
+    if (!isDisplayMath(node)) return clone;
+    clone.setAttribute('display', 'block');
+    const wrapper = document.createElement('div');
+    wrapper.appendChild(clone);
+    return wrapper;
+  });
+}
+
+// ChatGPT's raw Markdown uses \( \) and \[ \]; most Markdown tools expect dollar delimiters
+function normalizeTexDelimiters(markdown) {
+  return markdown
+    .split(/(```[\s\S]*?```|`[^`\n]*`)/)
+    .map((part, i) => (i % 2 ? part : part
+      .replace(/\\\[([\s\S]+?)\\\]/g, (match, tex) => `$$\n${tex.trim()}\n$$`)
+      .replace(/\\\(([\s\S]+?)\\\)/g, (match, tex) => `$${tex.trim()}$`)))
+    .join('');
+}
+
+// TeX to MathML for math that arrives as source (Markdown from the APIs), so HTML exports render it
+// natively like the MathML kept from the page, with the TeX alongside as its annotation. Covers the
+// usual chat math: scripts, fractions, roots, accents, delimiters, matrices and common symbols; an
+// unknown command is shown as its source.
+
+const TEX_IDENTIFIERS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+  varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+  varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω', Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ',
+  Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω', infty: '∞', partial: '∂',
+  nabla: '∇', hbar: 'ℏ', ell: 'ℓ', emptyset: '∅', varnothing: '∅', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ'
+};
+const TEX_OPERATORS = {
+  pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+  oplus: '⊕', otimes: '⊗', leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈',
+  equiv: '≡', sim: '∼', simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫', in: '∈', notin: '∉',
+  ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇', cup: '∪', cap: '∩', setminus: '∖',
+  wedge: '∧', land: '∧', vee: '∨', lor: '∨', neg: '¬', lnot: '¬', forall: '∀', exists: '∃', to: '→',
+  rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒', Leftarrow: '⇐',
+  Leftrightarrow: '⇔', implies: '⟹', iff: '⟺', mapsto: '↦', mid: '∣', parallel: '∥', perp: '⊥',
+  angle: '∠', dots: '…', ldots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱', prime: '′', langle: '⟨',
+  rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖', lbrace: '{',
+  rbrace: '}'
+};
+const TEX_LARGE_OPERATORS = {
+  sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮', bigcup: '⋃',
+  bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂'
+};
+const TEX_FUNCTIONS = new Set([
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh', 'log',
+  'ln', 'lg', 'exp', 'det', 'dim', 'ker', 'deg', 'gcd', 'arg', 'min', 'max', 'sup', 'inf', 'lim',
+  'liminf', 'limsup', 'Pr'
+]);
+// Operators whose scripts go above and below them in display math
+const TEX_LIMIT_COMMANDS = new Set(['sum', 'prod', 'coprod', 'bigcup', 'bigcap', 'bigoplus', 'bigotimes', 'lim', 'liminf', 'limsup', 'min', 'max', 'sup', 'inf']);
+const TEX_ACCENTS = {
+  hat: '^', widehat: '^', bar: '¯', overline: '¯', vec: '→', overrightarrow: '→', dot: '˙', ddot: '¨',
+  tilde: '~', widetilde: '~', overbrace: '⏞'
+};
+const TEX_UNDER_ACCENTS = { underline: '_', underbrace: '⏟' };
+const TEX_SPACES = { ',': '0.167em', ':': '0.222em', ';': '0.278em', ' ': '0.25em', quad: '1em', qquad: '2em' };
+const TEX_IGNORED_COMMANDS = new Set(['limits', 'nolimits', 'displaystyle', 'textstyle', 'scriptstyle', '!', '\\']);
+// Environments drawn as a table, with the delimiters around them
+const TEX_MATRIX_FENCES = {
+  matrix: ['', ''], smallmatrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'],
+  vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', '']
+};
+const TEX_DOUBLE_STRUCK = { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' };
+
+function texToMathml(tex, display = false) {
+  const parser = { tokens: tex.match(/\\[a-zA-Z]+|\\[\s\S]|\d+(?:\.\d+)?|\s+|[\s\S]/g) || [], pos: 0, display };
+  const body = parseTexRow(parser, []);
+  return `<math${display ? ' display="block"' : ''}><semantics><mrow>${body}</mrow>` +
+    `<annotation encoding="application/x-tex">${escapeHtml(tex)}</annotation></semantics></math>`;
+}
+
+// Items up to the end or the first of `stops` (a closing brace, \right, &, \\ or \end), left unread
+function parseTexRow(parser, stops) {
+  let html = '';
+  while (parser.pos < parser.tokens.length && !stops.includes(parser.tokens[parser.pos])) {
+    html += parseTexScripts(parser);
+  }
+  return html;
+}
+
+function skipTexSpace(parser) {
+  while (parser.pos < parser.tokens.length && /^\s+$/.test(parser.tokens[parser.pos])) parser.pos++;
+}
+
+function parseTexScripts(parser) {
+  const token = parser.tokens[parser.pos];
+  const base = parseTexAtom(parser);
+  if (!base) return '';
+  let limits = parser.display && token[0] === '\\' && TEX_LIMIT_COMMANDS.has(token.slice(1));
+  let sub = null;
+  let sup = null;
+  for (;;) {
+    skipTexSpace(parser);
+    const next = parser.tokens[parser.pos];
+    if (next === '\\limits' || next === '\\nolimits') {
+      limits = next === '\\limits';
+      parser.pos++;
+    } else if (next === '_' && sub === null) {
+      parser.pos++;
+      sub = parseTexArgument(parser);
+    } else if (next === '^' && sup === null) {
+      parser.pos++;
+      sup = parseTexArgument(parser);
+    } else {
+      break;
+    }
+  }
+  const [under, over, both] = limits ? ['munder', 'mover', 'munderover'] : ['msub', 'msup', 'msubsup'];
+  if (sub !== null && sup !== null) return `<${both}>${base}${sub}${sup}</${both}>`;
+  if (sub !== null) return `<${under}>${base}${sub}</${under}>`;
+  if (sup !== null) return `<${over}>${base}${sup}</${over}>`;
+  return base;
+}
+
+// A braced group or a single item, as one element
+function parseTexArgument(parser) {
+  skipTexSpace(parser);
+  if (parser.pos >= parser.tokens.length) return '<mrow></mrow>';
+  return parseTexAtom(parser) || '<mrow></mrow>';
+}
+
+// The source of a braced group (or of the next token) without parsing it
+function readTexText(parser) {
+  skipTexSpace(parser);
+  if (parser.tokens[parser.pos] !== '{') return parser.tokens[parser.pos++] || '';
+  let depth = 0;
+  let text = '';
+  while (parser.pos < parser.tokens.length) {
+    const token = parser.tokens[parser.pos++];
+    if (token === '{' && depth++ === 0) continue;
+    if (token === '}' && --depth === 0) break;
+    text += token;
+  }
+  return text;
+}
+
+function parseTexDelimiter(parser) {
+  const token = readTexText(parser);
+  const symbol = token === '.' ? '' : TEX_OPERATORS[token.slice(1)] || (token[0] === '\\' ? token.slice(1) : token);
+  return `<mo fence="true">${escapeHtml(symbol)}</mo>`;
+}
+
+function parseTexAtom(parser) {
+  const token = parser.tokens[parser.pos++];
+  if (/^\s+$/.test(token) || token === '}' || token === '&') return '';
+  if (token === '{') {
+    const row = parseTexRow(parser, ['}']);
+    parser.pos++;
+    return `<mrow>${row}</mrow>`;
+  }
+  if (/^\d/.test(token)) return `<mn>${token}</mn>`;
+  if (token[0] !== '\\') {
+    if (token === '-') return '<mo>−</mo>';
+    if (token === "'") return '<mo>′</mo>';
+    if (token === '~') return `<mspace width="${TEX_SPACES[' ']}"></mspace>`;
+    return /\p{L}/u.test(token) ? `<mi>${escapeHtml(token)}</mi>` : `<mo>${escapeHtml(token)}</mo>`;
+  }
+
+  const name = token.slice(1);
+  if (TEX_SPACES[name]) return `<mspace width="${TEX_SPACES[name]}"></mspace>`;
+  if (TEX_IGNORED_COMMANDS.has(name)) return '';
+  if (name.length === 1 && !/[a-zA-Z]/.test(name)) return `<mo>${escapeHtml(name === '|' ? '‖' : name)}</mo>`;
+  if (TEX_IDENTIFIERS[name]) return `<mi>${TEX_IDENTIFIERS[name]}</mi>`;
+  if (TEX_OPERATORS[name]) return `<mo>${TEX_OPERATORS[name]}</mo>`;
+  if (TEX_LARGE_OPERATORS[name]) return `<mo largeop="true">${TEX_LARGE_OPERATORS[name]}</mo>`;
+  if (TEX_FUNCTIONS.has(name)) return `<mi>${name}</mi>`;
+  if (TEX_ACCENTS[name]) return `<mover accent="true">${parseTexArgument(parser)}<mo>${TEX_ACCENTS[name]}</mo></mover>`;
+  if (TEX_UNDER_ACCENTS[name]) return `<munder accentunder="true">${parseTexArgument(parser)}<mo>${TEX_UNDER_ACCENTS[name]}</mo></munder>`;
+
+  switch (name) {
+    case 'frac': case 'dfrac': case 'tfrac': case 'cfrac':
+      return `<mfrac>${parseTexArgument(parser)}${parseTexArgument(parser)}</mfrac>`;
+    case 'binom':
+      return `<mrow><mo>(</mo><mfrac linethickness="0">${parseTexArgument(parser)}${parseTexArgument(parser)}</mfrac><mo>)</mo></mrow>`;
+    case 'sqrt': {
+      skipTexSpace(parser);
+      if (parser.tokens[parser.pos] !== '[') return `<msqrt>${parseTexArgument(parser)}</msqrt>`;
+      parser.pos++;
+      const index = parseTexRow(parser, [']']);
+      parser.pos++;
+      return `<mroot>${parseTexArgument(parser)}<mrow>${index}</mrow></mroot>`;
+    }
+    case 'text': case 'textrm': case 'textit': case 'textbf': case 'mbox':
+      return `<mtext>${escapeHtml(readTexText(parser))}</mtext>`;
+    case 'mathrm': case 'operatorname':
+      return `<mi mathvariant="normal">${escapeHtml(readTexText(parser))}</mi>`;
+    case 'mathbb': case 'mathbf': case 'boldsymbol': {
+      const start = parser.pos;
+      const text = readTexText(parser);
+      if (!/^[A-Za-z0-9]+$/.test(text)) {
+        parser.pos = start;
+        return parseTexArgument(parser);
+      }
+      return `<mi>${Array.from(text, char => styleTexLetter(char, name === 'mathbb')).join('')}</mi>`;
+    }
+    case 'left': {
+      const open = parseTexDelimiter(parser);
+      const row = parseTexRow(parser, ['\\right']);
+      let close = '';
+      if (parser.pos < parser.tokens.length) {
+        parser.pos++;
+        close = parseTexDelimiter(parser);
+      }
+      return `<mrow>${open}${row}${close}</mrow>`;
+    }
+    case 'right': case 'big': case 'Big': case 'bigg': case 'Bigg': case 'bigl': case 'bigr': case 'Bigl': case 'Bigr':
+      return parseTexDelimiter(parser);
+    case 'begin':
+      return parseTexEnvironment(parser, readTexText(parser));
+    default:
+      return `<mtext>${escapeHtml(token)}</mtext>`;
+  }
+}
+
+function styleTexLetter(char, doubleStruck) {
+  const code = char.charCodeAt(0);
+  if (doubleStruck) {
+    if (TEX_DOUBLE_STRUCK[char]) return TEX_DOUBLE_STRUCK[char];
+    if (char >= 'A' && char <= 'Z') return String.fromCodePoint(0x1D538 + code - 65);
+    if (char >= 'a' && char <= 'z') return String.fromCodePoint(0x1D552 + code - 97);
+    return String.fromCodePoint(0x1D7D8 + code - 48);
+  }
+  if (char >= 'A' && char <= 'Z') return String.fromCodePoint(0x1D400 + code - 65);
+  if (char >= 'a' && char <= 'z') return String.fromCodePoint(0x1D41A + code - 97);
+  return String.fromCodePoint(0x1D7CE + code - 48);
+}
+
+// Matrices, cases and aligned equations: cells split on &, rows on \\
+function parseTexEnvironment(parser, name) {
+  // array takes its column layout as an argument
+  if (name === 'array') readTexText(parser);
+  const rows = [];
+  let cells = [];
+  for (;;) {
+    cells.push(parseTexRow(parser, ['&', '\\\\', '\\end']));
+    const stop = parser.tokens[parser.pos++];
+    if (stop === '&') continue;
+    rows.push(cells);
+    cells = [];
+    if (stop !== '\\\\') break;
+  }
+  if (parser.tokens[parser.pos - 1] === '\\end') readTexText(parser);
+  if (rows.length > 1 && rows[rows.length - 1].join('') === '') rows.pop();
+
+  const align = name === 'cases' ? ' columnalign="left"' : /^(?:aligned|align\*?|split)$/.test(name) ? ' columnalign="right left"' : '';
+  const table = `<mtable${align}>${rows.map(row => `<mtr>${row.map(cell => `<mtd>${cell}</mtd>`).join('')}</mtr>`).join('')}</mtable>`;
+  const [open, close] = TEX_MATRIX_FENCES[name] || ['', ''];
+  if (!open && !close) return table;
+  return `<mrow>${open ? `<mo fence="true">${open}</mo>` : ''}${table}${close ? `<mo fence="true">${close}</mo>` : ''}</mrow>`;
+}
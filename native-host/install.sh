@@ -20,8 +20,8 @@ fi
 
 EXTENSION_ID="$1"
 
-# Make save_file.js executable
-chmod +x "$SCRIPT_DIR/save_file.js"
+# Make save_file.js and the search command line executable
+chmod +x "$SCRIPT_DIR/save_file.js" "$SCRIPT_DIR/search.js"
 
 # Create target directory if needed
 mkdir -p "$TARGET_DIR"
@@ -43,5 +43,6 @@ echo "Native messaging host installed successfully."
 echo "  Manifest: $TARGET"
 echo "  Script:   $SCRIPT_DIR/save_file.js"
 echo "  Extension ID: $EXTENSION_ID"
+echo "  Search:   $SCRIPT_DIR/search.js --rebuild (indexes transcripts saved before this version)"
 echo ""
 echo "Restart Chrome for changes to take effect."
@@ -1,120 +1,244 @@
 #!/usr/bin/env node
 
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { isTranscript, indexTranscript, searchIndex, flushIndexes } = require('./search_index');
+
+// Where transcripts went before the output directory became a setting. Installs that already
+// have it keep it as their default, so their sync manifests and search index stay valid.
+const LEGACY_BASE_DIR = path.join(os.homedir(), 'Documents', 'code', 'AutoNateAI_Workspace', 'chatgpt-convos');
+const NEW_BASE_DIR = path.join(os.homedir(), 'Documents', 'AI Chats');
+// Used when the extension's settings do not name an output directory
+const DEFAULT_BASE_DIR = fs.existsSync(LEGACY_BASE_DIR) && !fs.existsSync(NEW_BASE_DIR) ? LEGACY_BASE_DIR : NEW_BASE_DIR;
+
+// Chrome refuses replies over 1 MiB. Requests are chunked by the extension (256K characters),
+// so a frame far larger than that means the stream is corrupt.
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+// Per written file and per connection (one batch); the environment can lower them, as the tests do
+const MAX_FILE_BYTES = Number(process.env.AICHATDL_MAX_FILE_BYTES) || 512 * 1024 * 1024;
+const MAX_TOTAL_BYTES = Number(process.env.AICHATDL_MAX_TOTAL_BYTES) || 4 * 1024 * 1024 * 1024;
+
+// The extension may send an output directory; "~" stands for the home directory
+function resolveBaseDir(baseDir) {
+  if (!baseDir) return DEFAULT_BASE_DIR;
+  const expanded = baseDir.replace(/^~(?=$|[\\/])/, os.homedir());
+  if (!path.isAbsolute(expanded)) throw new Error('Output directory must be an absolute path: ' + baseDir);
+  return expanded;
+}
+
+function isInside(baseDir, target) {
+  const relative = path.relative(baseDir, target);
+  return relative !== '' && relative !== '..' && !relative.startsWith('..' + path.sep) && !path.isAbsolute(relative);
+}
 
-const BASE_DIR = path.join(
-  process.env.HOME,
-  'Documents/code/AutoNateAI_Workspace/chatgpt-convos'
-);
-
-// Read a native messaging message (4-byte length prefix + JSON)
-function readMessage() {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    let headerBuf = Buffer.alloc(0);
-
-    process.stdin.once('readable', () => {
-      // Read 4-byte header
-      while (headerBuf.length < 4) {
-        const chunk = process.stdin.read(4 - headerBuf.length);
-        if (!chunk) { resolve(null); return; }
-        headerBuf = Buffer.concat([headerBuf, chunk]);
+// dirName and fileName come from chat titles; they may add folders below baseDir but never leave it
+function resolveInside(baseDir, ...segments) {
+  segments.forEach(segment => {
+    if (typeof segment !== 'string' || !segment || segment.includes('\0')) throw new Error('Invalid path: ' + segment);
+    if (path.isAbsolute(segment) || /^[A-Za-z]:/.test(segment)) throw new Error('Path must be relative: ' + segment);
+  });
+  const target = path.resolve(baseDir, ...segments);
+  if (!isInside(baseDir, target)) throw new Error('Path escapes the output directory: ' + segments.join('/'));
+  return target;
+}
+
+// Creates the file's folder and checks that no symlink along the way leads out of baseDir
+function prepareDirectory(baseDir, filePath) {
+  const dirPath = path.dirname(filePath);
+  fs.mkdirSync(dirPath, { recursive: true });
+  const realBase = fs.realpathSync(baseDir);
+  const realDir = fs.realpathSync(dirPath);
+  if (realDir !== realBase && !isInside(realBase, realDir)) throw new Error('Path escapes the output directory: ' + dirPath);
+}
+
+// Read native messaging frames (4-byte length prefix + JSON) until stdin closes
+function listen(onMessage, onEnd) {
+  let buffer = Buffer.alloc(0);
+  let closed = false;
+
+  process.stdin.on('data', data => {
+    if (closed) return;
+    buffer = Buffer.concat([buffer, data]);
+    while (buffer.length >= 4) {
+      const msgLen = buffer.readUInt32LE(0);
+      // The frame cannot be skipped reliably, so give up the connection; the extension sees the disconnect
+      if (msgLen > MAX_MESSAGE_BYTES) {
+        process.stderr.write(`Message of ${msgLen} bytes exceeds the ${MAX_MESSAGE_BYTES} byte limit\n`);
+        closed = true;
+        onEnd(1);
+        return;
       }
+      if (buffer.length < 4 + msgLen) break;
 
-      const msgLen = headerBuf.readUInt32LE(0);
-      if (msgLen === 0) { resolve(null); return; }
-
-      let remaining = msgLen;
-      const readBody = () => {
-        while (remaining > 0) {
-          const data = process.stdin.read(remaining);
-          if (!data) {
-            process.stdin.once('readable', readBody);
-            return;
-          }
-          chunks.push(data);
-          remaining -= data.length;
-        }
-        const body = Buffer.concat(chunks).toString('utf8');
-        try { resolve(JSON.parse(body)); }
-        catch (e) { reject(new Error('Invalid JSON: ' + e.message)); }
-      };
-      readBody();
-    });
+      const body = buffer.subarray(4, 4 + msgLen).toString('utf8');
+      buffer = buffer.subarray(4 + msgLen);
+      onMessage(body);
+    }
   });
+
+  process.stdin.on('end', () => onEnd(0));
 }
 
-// Write a native messaging response
+// Write a native messaging response; the length prefix counts UTF-8 bytes, not characters
 function sendMessage(obj) {
-  const json = JSON.stringify(obj);
-  const buf = Buffer.alloc(4);
-  buf.writeUInt32LE(json.length, 0);
-  process.stdout.write(buf);
-  process.stdout.write(json);
+  let body = Buffer.from(JSON.stringify(obj), 'utf8');
+  if (body.length > MAX_RESPONSE_BYTES) {
+    body = Buffer.from(JSON.stringify({ id: obj.id, success: false, error: 'Response too large' }), 'utf8');
+  }
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(body.length, 0);
+  process.stdout.write(Buffer.concat([header, body]));
+}
+
+// Files being written, by base directory and dirName/fileName. Content goes to a temp file next to the target
+// and is renamed over it when complete, so an interrupted batch never leaves a half file.
+const openWrites = new Map();
+let totalBytes = 0;
+
+// The same relative path under two output directories is two different files
+function writeKey(msg) {
+  return [resolveBaseDir(msg.baseDir), msg.dirName, msg.fileName].join('\0');
+}
+
+function startWrite(baseDir, dirName, fileName, encoding = 'utf8') {
+  const filePath = resolveInside(baseDir, dirName, fileName);
+  prepareDirectory(baseDir, filePath);
+  // A dot file, so the search index never picks it up
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+  return { baseDir, dirName, fileName, filePath, tempPath, fd: fs.openSync(tempPath, 'wx'), encoding, bytes: 0, carry: '' };
+}
+
+function abortWrite(write) {
+  try { fs.closeSync(write.fd); } catch (e) {}
+  try { fs.unlinkSync(write.tempPath); } catch (e) {}
+}
+
+function writeBytes(write, buffer) {
+  if (write.bytes + buffer.length > MAX_FILE_BYTES) throw new Error(`File exceeds the ${MAX_FILE_BYTES} byte limit: ${write.fileName}`);
+  if (totalBytes + buffer.length > MAX_TOTAL_BYTES) throw new Error(`Batch exceeds the ${MAX_TOTAL_BYTES} byte limit`);
+  fs.writeSync(write.fd, buffer);
+  write.bytes += buffer.length;
+  totalBytes += buffer.length;
+}
+
+// Chunks are cut by character count: base64 may break inside a 4-character group and text
+// inside a surrogate pair, so the unfinished end waits for the next chunk
+function appendChunk(write, data) {
+  const text = write.carry + (data || '');
+  let complete;
+  if (write.encoding === 'base64') {
+    complete = text.slice(0, text.length - (text.length % 4));
+  } else {
+    const last = text.charCodeAt(text.length - 1);
+    complete = last >= 0xd800 && last <= 0xdbff ? text.slice(0, -1) : text;
+  }
+  write.carry = text.slice(complete.length);
+  writeBytes(write, Buffer.from(complete, write.encoding === 'base64' ? 'base64' : 'utf8'));
 }
 
-// Accumulated chunks for large files
-const chunkStore = {};
+function finishWrite(write) {
+  if (write.carry) writeBytes(write, Buffer.from(write.carry, write.encoding === 'base64' ? 'base64' : 'utf8'));
+  fs.fsyncSync(write.fd);
+  fs.closeSync(write.fd);
+  fs.renameSync(write.tempPath, write.filePath);
+
+  // A broken index must never fail the save itself
+  if (write.encoding !== 'base64' && isTranscript(write.fileName)) {
+    try {
+      indexTranscript(write.baseDir, path.relative(write.baseDir, write.filePath), fs.readFileSync(write.filePath, 'utf8'));
+    } catch (e) {}
+  }
+
+  return { success: true, path: write.filePath };
+}
+
+// Runs one step of a write; on any error the temp file is removed and the write forgotten
+function continueWrite(key, write, data, final) {
+  try {
+    appendChunk(write, data);
+    if (!final) {
+      openWrites.set(key, write);
+      return { success: true, status: 'chunk_received' };
+    }
+    openWrites.delete(key);
+    return finishWrite(write);
+  } catch (e) {
+    openWrites.delete(key);
+    abortWrite(write);
+    throw e;
+  }
+}
 
 async function handleMessage(msg) {
   try {
-    // Chunked write support: accumulate parts, write on final chunk
+    if (msg.action === 'ping') {
+      return { success: true };
+    }
+
+    // Chunked write support: stream parts into a temp file, move it into place on the final chunk
     if (msg.action === 'writeChunk') {
-      const key = msg.dirName + '/' + msg.fileName;
-      if (!chunkStore[key]) chunkStore[key] = [];
-      chunkStore[key].push(msg.data);
-
-      if (msg.final) {
-        const content = chunkStore[key].join('');
-        delete chunkStore[key];
-        return writeFile(msg.dirName, msg.fileName, content);
-      }
-      return { success: true, status: 'chunk_received' };
+      const key = writeKey(msg);
+      const write = openWrites.get(key) || startWrite(resolveBaseDir(msg.baseDir), msg.dirName, msg.fileName, msg.encoding);
+      return continueWrite(key, write, msg.data, msg.final);
     }
 
     // Single write (content fits in one message)
     if (msg.action === 'write') {
-      return writeFile(msg.dirName, msg.fileName, msg.content);
+      const key = writeKey(msg);
+      if (openWrites.has(key)) abortWrite(openWrites.get(key));
+      return continueWrite(key, startWrite(resolveBaseDir(msg.baseDir), msg.dirName, msg.fileName, msg.encoding), msg.content, true);
     }
 
     // Check if a file already exists (for skip logic)
     if (msg.action === 'checkExists') {
-      const dirPath = path.join(BASE_DIR, msg.dirName);
-      const filePath = path.join(dirPath, msg.fileName);
+      const filePath = resolveInside(resolveBaseDir(msg.baseDir), msg.dirName, msg.fileName);
       const exists = fs.existsSync(filePath);
       return { success: true, exists, path: filePath };
     }
 
+    // Full-text search over the transcripts written so far
+    if (msg.action === 'search') {
+      return { success: true, ...searchIndex(resolveBaseDir(msg.baseDir), msg.query) };
+    }
+
     return { success: false, error: 'Unknown action: ' + msg.action };
   } catch (e) {
     return { success: false, error: e.message };
   }
 }
 
-function writeFile(dirName, fileName, content) {
-  const dirPath = path.join(BASE_DIR, dirName);
-  fs.mkdirSync(dirPath, { recursive: true });
-
-  const filePath = path.join(dirPath, fileName);
-  fs.writeFileSync(filePath, content, 'utf8');
-
-  return { success: true, path: filePath };
+// Writes still open when the connection closes were cut off; their temp files are removed
+function shutdown(code) {
+  openWrites.forEach(abortWrite);
+  openWrites.clear();
+  flushIndexes();
+  process.exit(code);
 }
 
-async function main() {
-  const msg = await readMessage();
-  if (!msg) {
-    sendMessage({ success: false, error: 'No message received' });
-    process.exit(0);
-  }
-
-  const result = await handleMessage(msg);
-  sendMessage(result);
-  process.exit(0);
+// The port stays open for the whole batch; handle messages strictly in order
+function main() {
+  let queue = Promise.resolve();
+
+  listen(body => {
+    queue = queue.then(async () => {
+      let msg;
+      try {
+        msg = JSON.parse(body);
+      } catch (e) {
+        sendMessage({ success: false, error: 'Invalid JSON: ' + e.message });
+        return;
+      }
+      const result = await handleMessage(msg);
+      sendMessage({ id: msg.id, ...result });
+    });
+  }, code => {
+    queue = queue.then(() => shutdown(code));
+  });
 }
 
-main().catch(err => {
-  sendMessage({ success: false, error: err.message });
-  process.exit(1);
-});
+if (require.main === module) main();
+
+module.exports = { DEFAULT_BASE_DIR, resolveBaseDir };
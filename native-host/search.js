@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+// Search the saved transcripts from a terminal
+// Usage: ./search.js [--dir <path>] [--platform ChatGPT] [--from 2024-01-01] [--to 2024-12-31]
+//                    [--role user|assistant|tool] [--limit 20] [--rebuild] words "exact phrase"
+
+const { DEFAULT_BASE_DIR, resolveBaseDir } = require('./save_file');
+const { rebuildIndex, searchIndex } = require('./search_index');
+
+function parseArgs(argv) {
+  const options = { words: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--rebuild') options.rebuild = true;
+    else if (arg.startsWith('--')) options[arg.slice(2)] = argv[++i];
+    else options.words.push(/\s/.test(arg) ? `"${arg}"` : arg);
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const baseDir = resolveBaseDir(options.dir || DEFAULT_BASE_DIR);
+
+  if (options.rebuild) {
+    console.log(`Indexed ${rebuildIndex(baseDir)} transcripts in ${baseDir}`);
+    if (!options.words.length) return;
+  }
+
+  const { total, results } = searchIndex(baseDir, {
+    text: options.words.join(' '),
+    platform: options.platform,
+    from: options.from,
+    to: options.to,
+    role: options.role,
+    limit: Number(options.limit) || 20
+  });
+
+  console.log(`${total} matching conversations${total > results.length ? `, showing ${results.length}` : ''}\n`);
+  results.forEach(result => {
+    console.log(`${result.title} (${[result.platform, (result.updated || result.created || '').slice(0, 10)].filter(Boolean).join(', ')})`);
+    console.log(`  ${result.path}`);
+    if (result.url) console.log(`  ${result.url}`);
+    result.matches.forEach(match => console.log(`  [${match.role}] ${match.snippet}`));
+    console.log('');
+  });
+}
+
+main();
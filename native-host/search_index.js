@@ -0,0 +1,337 @@
+// Full-text index of the transcripts saved in an archive directory, kept in
+// <baseDir>/.aichatdl-index.json. Every write of a transcript updates it; search.js can
+// rebuild it from the files. Transcripts in all text formats (Markdown, HTML, plaintext,
+// JSON) are parsed back into messages so queries can filter by role and show snippets.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const INDEX_FILE_NAME = '.aichatdl-index.json';
+const INDEX_VERSION = 1;
+const TRANSCRIPT_EXTENSIONS = ['.md', '.txt', '.html', '.json'];
+// Unsaved changes are written after this delay, and always before the host exits
+const SAVE_DELAY_MS = 2000;
+const SNIPPET_BEFORE = 60;
+const SNIPPET_AFTER = 100;
+const MAX_SNIPPETS = 3;
+
+// Loaded indexes by base directory; the host process keeps them for the whole batch
+const openIndexes = new Map();
+
+function emptyIndex() {
+  return { version: INDEX_VERSION, nextId: 1, docs: {}, paths: {}, terms: {} };
+}
+
+function loadIndex(baseDir) {
+  if (openIndexes.has(baseDir)) return openIndexes.get(baseDir).index;
+  let index = emptyIndex();
+  try {
+    const stored = JSON.parse(fs.readFileSync(path.join(baseDir, INDEX_FILE_NAME), 'utf8'));
+    if (stored.version === INDEX_VERSION) index = stored;
+  } catch (e) {
+    // A missing index is normal; an unreadable one is replaced, and search.js --rebuild restores it
+    if (e.code !== 'ENOENT') process.stderr.write(`Ignoring unreadable search index in ${baseDir}: ${e.message}\n`);
+  }
+  openIndexes.set(baseDir, { index, timer: null });
+  return index;
+}
+
+function saveIndex(baseDir) {
+  const entry = openIndexes.get(baseDir);
+  if (!entry) return;
+  clearTimeout(entry.timer);
+  entry.timer = null;
+  fs.mkdirSync(baseDir, { recursive: true });
+  writeFileAtomic(path.join(baseDir, INDEX_FILE_NAME), JSON.stringify(entry.index));
+}
+
+// Written beside the target and renamed over it, so a crash mid-save leaves the old index intact
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  const fd = fs.openSync(tempPath, 'wx');
+  try {
+    fs.writeFileSync(fd, data, 'utf8');
+    fs.fsyncSync(fd);
+  } catch (e) {
+    fs.closeSync(fd);
+    fs.unlinkSync(tempPath);
+    throw e;
+  }
+  fs.closeSync(fd);
+  fs.renameSync(tempPath, filePath);
+}
+
+function scheduleSave(baseDir) {
+  const entry = openIndexes.get(baseDir);
+  if (!entry.timer) entry.timer = setTimeout(() => saveIndex(baseDir), SAVE_DELAY_MS);
+}
+
+function flushIndexes() {
+  openIndexes.forEach((entry, baseDir) => {
+    if (entry.timer) saveIndex(baseDir);
+  });
+}
+
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+}
+
+function isTranscript(fileName) {
+  return !fileName.includes('/') && !fileName.includes('\\') && TRANSCRIPT_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+  return text.replace(/&(#\d+|#x[0-9a-f]+|\w+);/gi, (match, name) => {
+    if (named[name.toLowerCase()]) return named[name.toLowerCase()];
+    if (/^#x/i.test(name)) return String.fromCodePoint(parseInt(name.slice(2), 16));
+    if (name.startsWith('#')) return String.fromCodePoint(Number(name.slice(1)));
+    return match;
+  });
+}
+
+function roleFromSpeaker(speaker) {
+  if (speaker.startsWith('User')) return 'user';
+  if (speaker.startsWith('Tool')) return 'tool';
+  return 'assistant';
+}
+
+// Message meta lines show the time as "2024-05-01 10:20:30 UTC"
+function timeFromMeta(meta) {
+  const match = (meta || '').match(/(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})/);
+  return match ? `${match[1]}T${match[2]}Z` : undefined;
+}
+
+function parseFrontMatter(content) {
+  const match = content.match(/^---\n([\s\S]*?)\n---\n/);
+  const fields = {};
+  if (!match) return fields;
+  match[1].split('\n').forEach(line => {
+    const field = line.match(/^(\w+): (.*)$/);
+    if (!field) return;
+    try {
+      fields[field[1]] = JSON.parse(field[2]);
+    } catch (e) {
+      fields[field[1]] = field[2];
+    }
+  });
+  return fields;
+}
+
+// Splits a text transcript at its speaker headings; the line after a heading may hold the meta
+function splitMessages(content, headingPattern, metaPattern) {
+  const parts = content.split(headingPattern);
+  const messages = [];
+  for (let i = 1; i < parts.length; i += 2) {
+    let body = parts[i + 1];
+    const meta = body.match(metaPattern);
+    if (meta) body = body.slice(meta[0].length);
+    messages.push({ role: roleFromSpeaker(parts[i]), time: timeFromMeta(meta && meta[1]), text: body.trim() });
+  }
+  return messages;
+}
+
+function parseMarkdown(content) {
+  const front = parseFrontMatter(content);
+  const header = content.match(/^# Conversation extracted from (\S+)\n\*\*Platform:\*\* (.+)$/m);
+  return {
+    title: front.title,
+    url: front.source || (header && header[1]),
+    platform: front.platform || (header && header[2]),
+    created: front.created,
+    updated: front.updated,
+    messages: splitMessages(content, /^## ((?:User|AI|Tool)(?: \(.*\))?):$/m, /^\n?_(.*)_\n/)
+  };
+}
+
+function parsePlaintext(content) {
+  const header = content.match(/^Conversation extracted from (\S+)\nPlatform: (.+)$/m);
+  return {
+    url: header && header[1],
+    platform: header && header[2],
+    messages: splitMessages(content, /^((?:User|AI|Tool)(?: \(.*\))?):$/m, /^\n?\[(.*)\]\n/)
+  };
+}
+
+function parseHtml(content) {
+  const meta = name => {
+    const match = content.match(new RegExp(`<meta name="${name}" content="([^"]*)">`));
+    return match ? decodeEntities(match[1]) : undefined;
+  };
+  const title = content.match(/<title>([\s\S]*?)<\/title>/);
+  const header = content.match(/Extracted from <a href="([^"]*)">[\s\S]*?<p>Platform: ([^<]*)<\/p>/);
+  const messages = [];
+  const sectionPattern = /<section class="message message-(\w+)"[^>]*><h2>[\s\S]*?<\/h2>(?:<p class="message-meta">([^<]*)<\/p>)?<div class="message-body">([\s\S]*?)<\/div><\/section>/g;
+  for (const match of content.matchAll(sectionPattern)) {
+    const text = decodeEntities(match[3].replace(/<(br|\/p|\/li|\/pre|\/h\d|\/div)\b[^>]*>/gi, '\n').replace(/<[^>]+>/g, ''));
+    messages.push({ role: match[1], time: timeFromMeta(match[2]), text: text.replace(/\n{3,}/g, '\n\n').trim() });
+  }
+  return {
+    title: title ? decodeEntities(title[1]) : undefined,
+    url: header ? decodeEntities(header[1]) : meta('dcterms.source'),
+    platform: header ? header[2] : meta('chat:platform'),
+    created: meta('dcterms.created'),
+    updated: meta('dcterms.modified'),
+    messages
+  };
+}
+
+function parseJson(content) {
+  const data = JSON.parse(content);
+  if (!Array.isArray(data.messages)) return null;
+  return {
+    title: data.title,
+    url: data.url,
+    platform: data.platform,
+    created: data.createTime,
+    updated: data.updateTime,
+    messages: data.messages.map(message => ({ role: message.role, time: message.createTime, text: message.text || '' }))
+  };
+}
+
+const TRANSCRIPT_PARSERS = { '.md': parseMarkdown, '.txt': parsePlaintext, '.html': parseHtml, '.json': parseJson };
+
+// Reads a transcript back into { title, url, platform, created, updated, messages }
+function parseTranscript(fileName, content) {
+  const parsed = TRANSCRIPT_PARSERS[path.extname(fileName).toLowerCase()](content);
+  if (!parsed || !parsed.messages.length) return null;
+  const times = parsed.messages.map(message => message.time).filter(Boolean).sort();
+  return {
+    ...parsed,
+    title: parsed.title || path.basename(fileName, path.extname(fileName)).replace(/-/g, ' '),
+    created: parsed.created || times[0],
+    updated: parsed.updated || times[times.length - 1]
+  };
+}
+
+function removeDocument(index, relPath) {
+  const id = index.paths[relPath];
+  if (id === undefined) return;
+  const doc = index.docs[id];
+  new Set(doc.messages.flatMap(message => tokenize(message.text))).forEach(term => {
+    const postings = index.terms[term];
+    if (!postings) return;
+    const remaining = postings.filter(docId => docId !== id);
+    if (remaining.length) index.terms[term] = remaining;
+    else delete index.terms[term];
+  });
+  delete index.docs[id];
+  delete index.paths[relPath];
+}
+
+// relPath is relative to baseDir, e.g. "ChatGPT/My-chat/My-chat.md"
+function indexTranscript(baseDir, relPath, content, { save = true } = {}) {
+  const index = loadIndex(baseDir);
+  const key = relPath.split(path.sep).join('/');
+  removeDocument(index, key);
+
+  const parsed = parseTranscript(key, content);
+  if (!parsed) return false;
+  const id = index.nextId++;
+  index.docs[id] = { path: key, ...parsed, indexedAt: new Date().toISOString() };
+  index.paths[key] = id;
+  new Set(parsed.messages.flatMap(message => tokenize(message.text))).forEach(term => {
+    (index.terms[term] = index.terms[term] || []).push(id);
+  });
+  if (save) scheduleSave(baseDir);
+  return true;
+}
+
+// Re-indexes every transcript below baseDir, skipping asset folders and dot files
+function rebuildIndex(baseDir) {
+  openIndexes.set(baseDir, { index: emptyIndex(), timer: null });
+  let count = 0;
+  const walk = dir => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== 'assets') walk(fullPath);
+      } else if (isTranscript(entry.name)) {
+        try {
+          if (indexTranscript(baseDir, path.relative(baseDir, fullPath), fs.readFileSync(fullPath, 'utf8'), { save: false })) count++;
+        } catch (e) {}
+      }
+    }
+  };
+  if (fs.existsSync(baseDir)) walk(baseDir);
+  saveIndex(baseDir);
+  return count;
+}
+
+// Words must all occur; "quoted phrases" must occur as written
+function parseQueryText(text) {
+  const phrases = [];
+  const rest = (text || '').replace(/"([^"]+)"/g, (match, phrase) => {
+    phrases.push(phrase.toLowerCase().replace(/\s+/g, ' ').trim());
+    return ` ${phrase} `;
+  });
+  return { terms: Array.from(new Set(tokenize(rest))), phrases };
+}
+
+function makeSnippet(text, needles) {
+  const lower = text.toLowerCase();
+  const positions = needles.map(needle => lower.indexOf(needle)).filter(pos => pos >= 0);
+  const at = positions.length ? Math.min(...positions) : 0;
+  const start = Math.max(0, at - SNIPPET_BEFORE);
+  const end = Math.min(text.length, at + SNIPPET_AFTER);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+}
+
+function countOccurrences(text, needle) {
+  let count = 0;
+  for (let pos = text.indexOf(needle); pos >= 0; pos = text.indexOf(needle, pos + needle.length)) count++;
+  return count;
+}
+
+// query: { text, platform, from, to (YYYY-MM-DD), role, limit }
+function searchIndex(baseDir, query = {}) {
+  const index = loadIndex(baseDir);
+  const { terms, phrases } = parseQueryText(query.text);
+  const needles = [...phrases, ...terms];
+
+  let candidates = Object.keys(index.docs).map(Number);
+  terms.forEach(term => {
+    const postings = new Set(index.terms[term] || []);
+    candidates = candidates.filter(id => postings.has(id));
+  });
+
+  const results = [];
+  for (const id of candidates) {
+    const doc = index.docs[id];
+    const date = (doc.updated || doc.created || doc.indexedAt || '').slice(0, 10);
+    if (query.platform && (doc.platform || '').toLowerCase() !== query.platform.toLowerCase()) continue;
+    if (query.from && date < query.from) continue;
+    if (query.to && date > query.to) continue;
+
+    const messages = doc.messages.filter(message => !query.role || message.role === query.role);
+    const text = messages.map(message => message.text.toLowerCase().replace(/\s+/g, ' ')).join('\n');
+    if (!terms.every(term => text.includes(term)) || !phrases.every(phrase => text.includes(phrase))) continue;
+
+    const matching = needles.length
+      ? messages.filter(message => needles.some(needle => message.text.toLowerCase().replace(/\s+/g, ' ').includes(needle)))
+      : messages.slice(0, 1);
+    results.push({
+      path: path.join(baseDir, doc.path),
+      fileUrl: pathToFileURL(path.join(baseDir, doc.path)).href,
+      title: doc.title,
+      url: doc.url,
+      platform: doc.platform,
+      created: doc.created,
+      updated: doc.updated,
+      score: needles.reduce((score, needle) => score + countOccurrences(text, needle), 0),
+      matches: matching.slice(0, MAX_SNIPPETS).map(message => ({
+        role: message.role,
+        time: message.time,
+        snippet: makeSnippet(message.text, needles)
+      }))
+    });
+  }
+
+  results.sort((a, b) => (b.score - a.score) || (b.updated || '').localeCompare(a.updated || ''));
+  return { total: results.length, results: results.slice(0, query.limit || 20) };
+}
+
+module.exports = { INDEX_FILE_NAME, isTranscript, indexTranscript, rebuildIndex, searchIndex, flushIndexes };
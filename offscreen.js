@@ -0,0 +1,11 @@
+const browserAPI = typeof chrome !== 'undefined' ? chrome : browser;
+
+// Opened by the background while it saves a batch ZIP: turns the Blob it stored into a blob: URL
+// that chrome.downloads can fetch. Closing this document revokes the URL.
+browserAPI.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen' || request.action !== 'createBlobUrl') return false;
+  takeStoredBlob(request.key)
+    .then(blob => sendResponse(blob ? { url: URL.createObjectURL(blob) } : { error: 'The archive to download is missing' }))
+    .catch(err => sendResponse({ error: err.message }));
+  return true;
+});
@@ -0,0 +1,58 @@
+const NUMBER_SETTINGS = ['workers', 'windowSize', 'loadTimeout', 'readyTimeout', 'extractTimeout'];
+const TEXT_SETTINGS = ['format', 'imageHandling', 'fileNameTemplate', 'outputDir', 'tags', 'redactionMode', 'redactionRules', 'redactionAllowlist'];
+const BOOLEAN_SETTINGS = ['frontMatter', 'redact', 'redactSecrets', 'redactEmails', 'redactPhones', 'redactIps'];
+
+const showStatus = message => {
+  document.getElementById('status').textContent = message;
+};
+
+loadSettings().then(settings => {
+  [...NUMBER_SETTINGS, ...TEXT_SETTINGS].forEach(key => {
+    document.getElementById(key).value = settings[key];
+  });
+  BOOLEAN_SETTINGS.forEach(key => {
+    document.getElementById(key).checked = settings[key];
+  });
+});
+
+// Out-of-range numbers are clamped to the input's limits rather than rejected
+function readNumberSetting(key) {
+  const input = document.getElementById(key);
+  const value = parseInt(input.value, 10);
+  if (isNaN(value)) return DEFAULT_SETTINGS[key];
+  return Math.min(Math.max(value, Number(input.min)), Number(input.max));
+}
+
+document.getElementById('saveBtn').addEventListener('click', () => {
+  const changes = {};
+  NUMBER_SETTINGS.forEach(key => {
+    changes[key] = readNumberSetting(key);
+    document.getElementById(key).value = changes[key];
+  });
+  TEXT_SETTINGS.forEach(key => {
+    changes[key] = document.getElementById(key).value.trim();
+  });
+  BOOLEAN_SETTINGS.forEach(key => {
+    changes[key] = document.getElementById(key).checked;
+  });
+  changes.fileNameTemplate = changes.fileNameTemplate || DEFAULT_FILENAME_TEMPLATE;
+
+  const outputDir = changes.outputDir;
+  if (outputDir && !/^(~(?=$|[\\/])|\/|[A-Za-z]:[\\/])/.test(outputDir)) {
+    showStatus('Output directory must be an absolute path or start with ~');
+    return;
+  }
+
+  for (const key of ['redactionRules', 'redactionAllowlist']) {
+    const invalid = findInvalidRedactionPattern(changes[key]);
+    if (invalid) {
+      showStatus(`Not a valid pattern: ${invalid}`);
+      return;
+    }
+  }
+
+  saveSettings(changes).then(() => {
+    showStatus('Settings saved.');
+    setTimeout(() => showStatus(''), 2000);
+  });
+});
@@ -0,0 +1,157 @@
+// Structured message parts read from the platform APIs. A message keeps an ordered list of
+// parts; text parts hold Markdown source and every other kind (code cells with their output,
+// tool calls, citation lists, canvas documents and artifacts, thinking) is rendered by each
+// export format in its own way rather than flattened into the text.
+//
+//   { type: 'text', text }
+//   { type: 'code', language, code, tool?, output?: { text, images } }
+//   { type: 'output', text, images }          output without the code that produced it
+//   { type: 'citations', sources: [{ title, url }] }
+//   { type: 'artifact', kind: 'canvas' | 'artifact', title, language, version, content, file? }
+//   { type: 'thinking', text }
+
+const ARTIFACT_EXTENSIONS = {
+  markdown: 'md', plaintext: 'txt', text: 'txt', python: 'py', javascript: 'js', typescript: 'ts',
+  ruby: 'rb', rust: 'rs', csharp: 'cs', kotlin: 'kt', bash: 'sh', shell: 'sh', mermaid: 'mmd'
+};
+
+function artifactExtension(language) {
+  const name = (language || '').toLowerCase();
+  return ARTIFACT_EXTENSIONS[name] || (/^[a-z0-9]{1,5}$/.test(name) ? name : 'txt');
+}
+
+// Canvas documents and artifacts are edited by later messages; every edit is a new version
+function reviseDocument(documents, id, changes) {
+  const previous = documents[id];
+  const doc = { ...previous, ...changes, version: previous ? previous.version + 1 : 1 };
+  documents[id] = doc;
+  return doc;
+}
+
+// The content is also saved as a file of its own when the export has somewhere to put files
+function createArtifactPart(kind, doc, options = {}) {
+  const part = { type: 'artifact', kind, title: doc.title || '', language: doc.language || '', version: doc.version, content: doc.content };
+  if (options.artifacts) {
+    const version = doc.version > 1 ? `-v${doc.version}` : '';
+    part.file = options.artifacts.addText(doc.content, `${sanitizeFilename(doc.title || kind)}${version}.${artifactExtension(doc.language)}`);
+  }
+  return part;
+}
+
+function describePart(part) {
+  switch (part.type) {
+    case 'code':
+      return part.tool ? `Tool call: ${part.tool}` : `Code${part.language ? ` (${part.language})` : ''}`;
+    case 'output':
+      return 'Output';
+    case 'citations':
+      return 'Sources';
+    case 'artifact':
+      return `${part.kind === 'canvas' ? 'Canvas' : 'Artifact'}: ${part.title || 'Untitled'}${part.version > 1 ? ` (version ${part.version})` : ''}`;
+    case 'thinking':
+      return 'Thinking';
+    default:
+      return '';
+  }
+}
+
+// Markdown link targets cannot contain spaces or unbalanced parentheses
+function markdownLinkTarget(url) {
+  return url.replace(/[ ()]/g, char => encodeURIComponent(char));
+}
+
+function renderOutputAsMarkdown(output) {
+  return [
+    '**Output**',
+    output.text ? markdownFence(output.text) : '',
+    ...output.images.map(src => `![output](${markdownLinkTarget(src)})`)
+  ].filter(Boolean).join('\n\n');
+}
+
+function renderPartAsMarkdown(part) {
+  const label = `**${describePart(part)}**`;
+  switch (part.type) {
+    case 'text':
+      return normalizeTexDelimiters(part.text);
+    case 'code':
+      return [label, markdownFence(part.code, part.language), part.output ? renderOutputAsMarkdown(part.output) : ''].filter(Boolean).join('\n\n');
+    case 'output':
+      return renderOutputAsMarkdown(part);
+    case 'citations':
+      return `${label}\n\n${part.sources.map((source, i) => (isScriptUrl(source.url)
+        ? `${i + 1}. ${source.title}`
+        : `${i + 1}. [${source.title.replace(/[[\]]/g, '\\$&')}](${markdownLinkTarget(source.url)})`)).join('\n')}`;
+    case 'artifact':
+      return `${label}${part.file ? ` · [${part.file.split('/').pop()}](${markdownLinkTarget(part.file)})` : ''}\n\n${markdownFence(part.content, part.language)}`;
+    case 'thinking':
+      return `> ${label}\n>\n${part.text.trim().split('\n').map(line => `> ${line}`.trimEnd()).join('\n')}`;
+    default:
+      return '';
+  }
+}
+
+function codeBlockToHtml(code, language) {
+  return `<pre><code${language ? ` class="language-${escapeHtml(language)}"` : ''}>${escapeHtml(code)}</code></pre>`;
+}
+
+function renderOutputAsHtml(output) {
+  return `<div class="code-output"><p class="part-label">Output</p>${output.text ? codeBlockToHtml(output.text) : ''}${output.images.map(src => `<img src="${escapeHtml(src)}" alt="output">`).join('')}</div>`;
+}
+
+function renderPartAsHtml(part) {
+  const label = escapeHtml(describePart(part));
+  switch (part.type) {
+    case 'text':
+      return markdownToHtml(part.text);
+    case 'code':
+      return `<div class="code-cell${part.tool ? ' tool-call' : ''}"><p class="part-label">${label}</p>${codeBlockToHtml(part.code, part.language)}${part.output ? renderOutputAsHtml(part.output) : ''}</div>`;
+    case 'output':
+      return renderOutputAsHtml(part);
+    case 'citations':
+      // Like links in the text, a source whose URL would run script keeps only its title
+      return `<div class="citations"><p class="part-label">${label}</p><ol>${part.sources.map(source => (isScriptUrl(source.url)
+        ? `<li>${escapeHtml(source.title)}</li>`
+        : `<li><a href="${escapeHtml(source.url)}">${escapeHtml(source.title)}</a></li>`)).join('')}</ol></div>`;
+    case 'artifact': {
+      const file = part.file ? ` <a class="part-file" href="${escapeHtml(encodeURI(part.file))}">${escapeHtml(part.file.split('/').pop())}</a>` : '';
+      // Documents read better rendered; code stays code
+      const body = part.language === 'markdown' ? `<div class="artifact-document">${markdownToHtml(part.content)}</div>` : codeBlockToHtml(part.content, part.language);
+      return `<details class="artifact" open><summary><span class="part-label">${label}</span>${file}</summary>${body}</details>`;
+    }
+    case 'thinking':
+      return `<details class="thinking"><summary><span class="part-label">${label}</span></summary>${markdownToHtml(part.text)}</details>`;
+    default:
+      return '';
+  }
+}
+
+function renderOutputAsPlaintext(output) {
+  return ['[Output]', output.text, ...output.images.map(describeImageForPlaintext)].filter(Boolean).join('\n');
+}
+
+function renderPartAsPlaintext(part) {
+  const label = `[${describePart(part)}]`;
+  switch (part.type) {
+    case 'text':
+      return convertMarkdownSource(part.text, 'plaintext');
+    case 'code':
+      return [label, part.code, part.output ? renderOutputAsPlaintext(part.output) : ''].filter(Boolean).join('\n');
+    case 'output':
+      return renderOutputAsPlaintext(part);
+    case 'citations':
+      return `${label}\n${part.sources.map((source, i) => `${i + 1}. ${source.title} - ${source.url}`).join('\n')}`;
+    case 'artifact':
+      return `${label}${part.file ? ` saved as ${part.file}` : ''}\n${part.content}\n[End of ${part.kind}]`;
+    case 'thinking':
+      return `${label}\n${part.text.trim()}\n[End of thinking]`;
+    default:
+      return '';
+  }
+}
+
+// JSON keeps Markdown as its text; the parts themselves go into the message as data
+function renderMessageParts(parts, format) {
+  if (format === 'html') return parts.map(renderPartAsHtml).join('');
+  const render = format === 'plaintext' ? renderPartAsPlaintext : renderPartAsMarkdown;
+  return parts.map(render).filter(Boolean).join('\n\n').trim();
+}
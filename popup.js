@@ -32,16 +32,38 @@ const getCurrentSite = () => {
 
 document.addEventListener('DOMContentLoaded', getCurrentSite);
 
+// Start from the saved settings; the format picked here becomes the new default
+loadSettings().then(settings => {
+  const formatInput = document.querySelector(`input[name="format"][value="${settings.format}"]`);
+  if (formatInput) formatInput.checked = true;
+  document.getElementById('externalAssets').checked = settings.imageHandling === 'files';
+  document.getElementById('workerCount').value = settings.workers;
+});
+
+document.querySelectorAll('input[name="format"]').forEach(input => {
+  input.addEventListener('change', () => saveSettings({ format: input.value }));
+});
+
+document.getElementById('settingsBtn').addEventListener('click', () => {
+  browserAPI.runtime.openOptionsPage();
+});
+
+document.getElementById('importBtn').addEventListener('click', () => {
+  browserAPI.tabs.create({ url: browserAPI.runtime.getURL('import.html') });
+});
+
 document.getElementById('extractBtn').addEventListener('click', () => {
   debugLog = [];
   log('Starting conversation extraction...');
   
   const format = document.querySelector('input[name="format"]:checked').value;
+  const includeBranches = document.getElementById('includeBranches').checked;
+  const externalAssets = document.getElementById('externalAssets').checked;
   log(`Selected format: ${format}`);
 
   browserAPI.tabs.query({active: true, currentWindow: true}, (tabs) => {
     log(`Current URL: ${tabs[0].url}`);
-    browserAPI.tabs.sendMessage(tabs[0].id, {action: "extract", format}, response => {
+    browserAPI.tabs.sendMessage(tabs[0].id, {action: "extract", format, includeBranches, externalAssets}, response => {
       if (browserAPI.runtime.lastError) {
         log(`Error: ${browserAPI.runtime.lastError.message}`);
         if (browserAPI.runtime.lastError.message.includes("Cannot access contents of url") ||
@@ -56,7 +78,8 @@ document.getElementById('extractBtn').addEventListener('click', () => {
           log(`Extraction completed. ${response.messageCount} messages found.`);
           log(`Platform detected: ${response.platform}`);
           log(`Format used: ${format}`);
-          log(response.downloadInitiated ? 'File download initiated.' : 'File download failed to start.');
+          if (response.printViewOpened) log('Print view opened in a new tab.');
+          else log(response.downloadInitiated ? 'File download initiated.' : 'File download failed to start.');
         }
       } else {
         log('Extraction failed: No response from content script');
@@ -65,6 +88,28 @@ document.getElementById('extractBtn').addEventListener('click', () => {
   });
 });
 
+// Reports, for every selector role, how many nodes each strategy finds on the page
+document.getElementById('diagnoseBtn').addEventListener('click', () => {
+  log('Diagnosing page selectors...');
+  browserAPI.tabs.query({active: true, currentWindow: true}, (tabs) => {
+    log(`Current URL: ${tabs[0].url}`);
+    browserAPI.tabs.sendMessage(tabs[0].id, {action: "diagnose"}, response => {
+      if (browserAPI.runtime.lastError) {
+        log(`Error: ${browserAPI.runtime.lastError.message}`);
+        return;
+      }
+      log(`Platform detected: ${response.platform}, selector registry v${response.registryVersion}`);
+      if (!response.roles.length) log('No selectors are registered for this platform.');
+      response.roles.forEach(({ role, strategies, used }) => {
+        log(`${role}: ${used ? `using ${used}` : 'NO STRATEGY MATCHED'}`);
+        strategies.forEach(({ strategy, selector, count }) => {
+          log(`  ${count} node${count === 1 ? '' : 's'} - ${strategy}: ${selector}`);
+        });
+      });
+    });
+  });
+});
+
 document.getElementById('copyDebugBtn').addEventListener('click', () => {
   const logText = debugLog.join('\n');
   navigator.clipboard.writeText(logText)
@@ -72,9 +117,189 @@ document.getElementById('copyDebugBtn').addEventListener('click', () => {
     .catch(err => log('Failed to copy debug log: ' + err));
 });
 
+// --- Message Picker ---
+
+let pickerMessages = [];
+let pickedIndexes = new Set();
+// How the list was read (API or page, branches or not); exports of picked messages read it the same way
+let pickerSource = {};
+
+// "5-12, 15, 20-" in the 1-based numbers the list shows; an open end runs to the first or last
+// message. Returns null when the text is not a range.
+function parseMessageRange(text, count) {
+  const indexes = new Set();
+  for (const part of text.split(',').map(item => item.trim()).filter(Boolean)) {
+    const match = /^(\d*)\s*(?:([-–])\s*(\d*))?$/.exec(part);
+    if (!match || (!match[1] && !match[2])) return null;
+    const from = match[1] ? Number(match[1]) : 1;
+    const to = match[2] ? (match[3] ? Number(match[3]) : count) : from;
+    for (let n = Math.max(from, 1); n <= Math.min(to, count); n++) indexes.add(n - 1);
+  }
+  return indexes;
+}
+
+function formatMessageRange(indexes) {
+  const sorted = Array.from(indexes).sort((a, b) => a - b);
+  const ranges = [];
+  sorted.forEach(index => {
+    const last = ranges[ranges.length - 1];
+    if (last && index === last[1] + 1) last[1] = index;
+    else ranges.push([index, index]);
+  });
+  return ranges.map(([from, to]) => from === to ? `${from + 1}` : `${from + 1}-${to + 1}`).join(', ');
+}
+
+function setPickedMessages(indexes, updateRange = true) {
+  pickedIndexes = new Set(indexes);
+  document.querySelectorAll('#messageList input[type="checkbox"]').forEach(cb => {
+    cb.checked = pickedIndexes.has(Number(cb.value));
+  });
+  if (updateRange) document.getElementById('messageRange').value = formatMessageRange(pickedIndexes);
+  document.getElementById('pickerSummary').textContent = `${pickedIndexes.size} of ${pickerMessages.length} messages selected`;
+}
+
+function renderMessageList(messages) {
+  const container = document.getElementById('messageList');
+  container.innerHTML = '';
+  messages.forEach((message, i) => {
+    const div = document.createElement('div');
+    div.className = 'chat-item message-item';
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.id = `message-${i}`;
+    cb.value = i;
+    cb.addEventListener('change', () => {
+      const indexes = new Set(pickedIndexes);
+      if (cb.checked) indexes.add(i);
+      else indexes.delete(i);
+      setPickedMessages(indexes);
+    });
+    const number = document.createElement('span');
+    number.className = 'message-number';
+    number.textContent = i + 1;
+    const lbl = document.createElement('label');
+    lbl.htmlFor = `message-${i}`;
+    lbl.textContent = `${message.speaker}: ${message.preview}`;
+    lbl.title = message.preview;
+    div.appendChild(cb);
+    div.appendChild(number);
+    div.appendChild(lbl);
+    container.appendChild(div);
+  });
+}
+
+// The last prompt and everything after it
+function getLastExchange(messages) {
+  const lastPrompt = messages.map(message => message.role).lastIndexOf('user');
+  const start = lastPrompt >= 0 ? lastPrompt : messages.length - 1;
+  return messages.map((message, i) => i).filter(i => i >= start);
+}
+
+document.getElementById('pickMessagesBtn').addEventListener('click', () => {
+  log('Loading messages...');
+  const includeBranches = document.getElementById('includeBranches').checked;
+  browserAPI.tabs.query({active: true, currentWindow: true}, (tabs) => {
+    browserAPI.tabs.sendMessage(tabs[0].id, {action: "listMessages", includeBranches}, response => {
+      if (browserAPI.runtime.lastError) {
+        log(`Error: ${browserAPI.runtime.lastError.message}`);
+        return;
+      }
+      if (!response || response.error || !response.messages.length) {
+        log(`No messages found${response?.error ? `: ${response.error}` : '.'}`);
+        return;
+      }
+      pickerMessages = response.messages;
+      pickerSource = { messageSource: response.source, includeBranches };
+      renderMessageList(pickerMessages);
+      setPickedMessages(pickerMessages.map((message, i) => i));
+      document.getElementById('pickerSection').style.display = 'block';
+      log(`Loaded ${pickerMessages.length} messages from ${response.title || response.platform}.`);
+    });
+  });
+});
+
+document.getElementById('messageRange').addEventListener('input', event => {
+  const indexes = parseMessageRange(event.target.value, pickerMessages.length);
+  if (indexes) setPickedMessages(indexes, false);
+  else document.getElementById('pickerSummary').textContent = 'Use numbers and ranges, e.g. 5-12, 15';
+});
+
+[
+  ['pickAllBtn', messages => messages.map((message, i) => i)],
+  ['pickAiBtn', messages => messages.map((message, i) => i).filter(i => messages[i].role === 'assistant')],
+  ['pickUserBtn', messages => messages.map((message, i) => i).filter(i => messages[i].role === 'user')],
+  ['pickLastBtn', getLastExchange]
+].forEach(([id, pick]) => {
+  document.getElementById(id).addEventListener('click', () => setPickedMessages(pick(pickerMessages)));
+});
+
+// Extracts only the picked messages; the request adds the format and destination
+function extractPickedMessages(request, onResponse) {
+  if (!pickedIndexes.size) {
+    log('Select at least one message.');
+    return;
+  }
+  const messageIndexes = Array.from(pickedIndexes).sort((a, b) => a - b);
+  log(`Exporting messages ${formatMessageRange(pickedIndexes)} as ${request.format}...`);
+  browserAPI.tabs.query({active: true, currentWindow: true}, (tabs) => {
+    browserAPI.tabs.sendMessage(tabs[0].id, {
+      action: "extract",
+      ...pickerSource,
+      messageIndexes,
+      ...request
+    }, response => {
+      if (browserAPI.runtime.lastError) {
+        log(`Error: ${browserAPI.runtime.lastError.message}`);
+      } else if (!response || response.error) {
+        response?.logs?.forEach(logMessage => log(logMessage));
+        log(`Export failed: ${response?.error || 'No response from content script'}`);
+      } else {
+        onResponse(response);
+      }
+    });
+  });
+}
+
+// HTML goes on the clipboard as rich text with a plain-text alternative
+function writeClipboard(response) {
+  if (!response.html) return navigator.clipboard.writeText(response.content);
+  return navigator.clipboard.write([new ClipboardItem({
+    'text/html': new Blob([response.html], { type: 'text/html' }),
+    'text/plain': new Blob([response.content], { type: 'text/plain' })
+  })]);
+}
+
+document.getElementById('copySelectedBtn').addEventListener('click', () => {
+  const format = document.querySelector('input[name="format"]:checked').value;
+  if (format === 'pdf') {
+    log('PDF cannot go on the clipboard; pick Markdown, HTML, Plaintext or JSON.');
+    return;
+  }
+  extractPickedMessages({ format, clipboard: true }, response => {
+    writeClipboard(response)
+      .then(() => log(`Copied ${response.messageCount} messages to the clipboard.`))
+      .catch(err => log('Failed to copy messages: ' + err));
+  });
+});
+
+document.getElementById('downloadSelectedBtn').addEventListener('click', () => {
+  const format = document.querySelector('input[name="format"]:checked').value;
+  const externalAssets = document.getElementById('externalAssets').checked;
+  extractPickedMessages({ format, externalAssets }, response => {
+    response.logs?.forEach(logMessage => log(logMessage));
+    if (response.printViewOpened) log('Print view opened in a new tab.');
+    else log(response.downloadInitiated ? 'File download initiated.' : 'File download failed to start.');
+  });
+});
+
 // --- Batch Download ---
 
 let chatListData = [];
+let selectedUrls = new Set();
+
+// The loaded list, selection and filters survive closing the popup
+const CHAT_LIST_KEY = 'batchChatList';
+const CHAT_FILTER_IDS = ['chatSearch', 'projectFilter', 'dateFrom', 'dateTo'];
 
 const getCurrentSiteHostname = () => {
   return new Promise(resolve => {
@@ -88,13 +313,41 @@ const getCurrentSiteHostname = () => {
   });
 };
 
-// Show batch section only on chatgpt.com
+const BATCH_HOSTNAMES = ['chatgpt.com', 'claude.ai', 'poe.com'];
+
+// Show batch section only on supported sites
 getCurrentSiteHostname().then(hostname => {
-  if (hostname === 'chatgpt.com') {
+  if (BATCH_HOSTNAMES.includes(hostname)) {
     document.getElementById('batchSection').style.display = 'block';
+    restoreChatList(hostname);
   }
 });
 
+function restoreChatList(hostname) {
+  browserAPI.storage.local.get(CHAT_LIST_KEY, stored => {
+    const saved = stored[CHAT_LIST_KEY];
+    if (!saved || saved.hostname !== hostname || !saved.chats.length) return;
+    chatListData = saved.chats;
+    selectedUrls = new Set(saved.selected);
+    renderChatList(chatListData);
+    CHAT_FILTER_IDS.forEach(id => {
+      document.getElementById(id).value = saved.filters?.[id] || '';
+    });
+    applyChatFilters();
+    document.getElementById('chatListContainer').style.display = 'block';
+    log(`Restored ${chatListData.length} chats (${selectedUrls.size} selected). Load the list again to refresh it.`);
+  });
+}
+
+function saveChatList() {
+  getCurrentSiteHostname().then(hostname => {
+    const filters = Object.fromEntries(CHAT_FILTER_IDS.map(id => [id, document.getElementById(id).value]));
+    browserAPI.storage.local.set({
+      [CHAT_LIST_KEY]: { hostname, chats: chatListData, selected: Array.from(selectedUrls), filters }
+    });
+  });
+}
+
 document.getElementById('loadChatsBtn').addEventListener('click', () => {
   log('Loading chat list...');
   document.getElementById('loadChatsBtn').textContent = 'Loading...';
@@ -112,11 +365,17 @@ document.getElementById('loadChatsBtn').addEventListener('click', () => {
 
       if (response && response.chats && response.chats.length > 0) {
         chatListData = response.chats;
+        // Keep earlier picks that are still in the list
+        const urls = new Set(chatListData.map(chat => chat.url));
+        selectedUrls = new Set(Array.from(selectedUrls).filter(url => urls.has(url)));
         renderChatList(chatListData);
+        applyChatFilters();
+        saveChatList();
         document.getElementById('chatListContainer').style.display = 'block';
-        log(`Loaded ${chatListData.length} chats.`);
+        log(`Loaded ${chatListData.length} chats${response.platform ? ` from ${response.platform}` : ''}.`);
       } else {
-        log('No chats found. Make sure the ChatGPT sidebar is visible.');
+        log(response?.error ? `No chats found: ${response.error}` : 'No chats found.');
+        log('On ChatGPT keep the sidebar visible; on Claude open Recents or a project; on Poe open poe.com/chats.');
       }
     });
   });
@@ -132,26 +391,117 @@ function renderChatList(chats) {
     cb.type = 'checkbox';
     cb.id = `chat-${i}`;
     cb.value = i;
+    cb.checked = selectedUrls.has(chat.url);
+    cb.addEventListener('change', () => {
+      if (cb.checked) selectedUrls.add(chat.url);
+      else selectedUrls.delete(chat.url);
+      updateSelectionSummary();
+      saveChatList();
+    });
     const lbl = document.createElement('label');
     lbl.htmlFor = `chat-${i}`;
     lbl.textContent = chat.title;
-    lbl.title = chat.title;
+    lbl.title = chat.project ? `${chat.title} (${chat.project})` : chat.title;
     div.appendChild(cb);
     div.appendChild(lbl);
+    const date = getChatDay(chat);
+    if (date) {
+      const span = document.createElement('span');
+      span.className = 'chat-date';
+      span.textContent = chat.updatedAt ? date : `~${date}`;
+      div.appendChild(span);
+    }
     container.appendChild(div);
   });
+  renderProjectFilter(chats);
+}
+
+// Local calendar day of the API update time, or of the sidebar group the chat was listed under
+function getChatDay(chat) {
+  const date = chat.updatedAt || chat.dateHint;
+  return date ? new Date(date).toLocaleDateString('en-CA') : null;
+}
+
+function renderProjectFilter(chats) {
+  const select = document.getElementById('projectFilter');
+  const current = select.value;
+  const projects = [...new Set(chats.map(chat => chat.project).filter(Boolean))].sort();
+  select.length = 1;
+  projects.forEach(project => select.add(new Option(project, project)));
+  select.value = projects.includes(current) ? current : '';
+  select.hidden = projects.length === 0;
+}
+
+function matchesChatFilters(chat) {
+  const search = document.getElementById('chatSearch').value.trim().toLowerCase();
+  const project = document.getElementById('projectFilter').value;
+  const from = document.getElementById('dateFrom').value;
+  const to = document.getElementById('dateTo').value;
+
+  if (search && !chat.title.toLowerCase().includes(search)) return false;
+  if (project && chat.project !== project) return false;
+  if (from || to) {
+    // Chats without any date cannot be placed in a range
+    const day = getChatDay(chat);
+    if (!day || (from && day < from) || (to && day > to)) return false;
+  }
+  return true;
+}
+
+function applyChatFilters() {
+  chatListData.forEach((chat, i) => {
+    document.getElementById(`chat-${i}`).parentElement.hidden = !matchesChatFilters(chat);
+  });
+  updateSelectionSummary();
 }
 
+function getVisibleChats() {
+  return chatListData.filter((chat, i) => !document.getElementById(`chat-${i}`).parentElement.hidden);
+}
+
+function updateSelectionSummary() {
+  const visible = getVisibleChats().length;
+  document.getElementById('selectionSummary').textContent =
+    `${selectedUrls.size} selected · ${visible} of ${chatListData.length} shown`;
+  document.getElementById('selectAllBtn').textContent =
+    chatListData.length && selectedUrls.size === chatListData.length ? 'Deselect All' : 'Select All';
+}
+
+function setSelection(urls) {
+  selectedUrls = new Set(urls);
+  chatListData.forEach((chat, i) => {
+    document.getElementById(`chat-${i}`).checked = selectedUrls.has(chat.url);
+  });
+  updateSelectionSummary();
+  saveChatList();
+}
+
+CHAT_FILTER_IDS.forEach(id => {
+  document.getElementById(id).addEventListener('input', () => {
+    applyChatFilters();
+    saveChatList();
+  });
+});
+
 document.getElementById('selectAllBtn').addEventListener('click', () => {
-  const checkboxes = document.querySelectorAll('#chatList input[type="checkbox"]');
-  const allChecked = Array.from(checkboxes).every(cb => cb.checked);
-  checkboxes.forEach(cb => cb.checked = !allChecked);
-  document.getElementById('selectAllBtn').textContent = allChecked ? 'Select All' : 'Deselect All';
+  const allSelected = selectedUrls.size === chatListData.length;
+  setSelection(allSelected ? [] : chatListData.map(chat => chat.url));
+});
+
+document.getElementById('selectVisibleBtn').addEventListener('click', () => {
+  setSelection([...selectedUrls, ...getVisibleChats().map(chat => chat.url)]);
+});
+
+// Inverts only the chats the filters show; hidden picks stay as they are
+document.getElementById('invertSelectionBtn').addEventListener('click', () => {
+  const visible = new Set(getVisibleChats().map(chat => chat.url));
+  const kept = Array.from(selectedUrls).filter(url => !visible.has(url));
+  const flipped = Array.from(visible).filter(url => !selectedUrls.has(url));
+  setSelection([...kept, ...flipped]);
 });
 
 document.getElementById('batchDownloadBtn').addEventListener('click', () => {
-  const selected = Array.from(document.querySelectorAll('#chatList input[type="checkbox"]:checked'))
-    .map(cb => chatListData[parseInt(cb.value)]);
+  const selected = chatListData.filter(chat => selectedUrls.has(chat.url));
 
   if (selected.length === 0) {
     log('No chats selected for batch download.');
@@ -159,38 +509,107 @@ document.getElementById('batchDownloadBtn').addEventListener('click', () => {
   }
 
   const format = document.querySelector('input[name="format"]:checked').value;
+  if (format !== 'pdf') {
+    startBatch(selected, format);
+    return;
+  }
+
+  // Batch PDFs are printed through the debugger API, which is an optional permission
+  browserAPI.permissions.request({ permissions: ['debugger'] }, granted => {
+    if (granted) startBatch(selected, format);
+    else log('PDF batches need the debugger permission to print without a dialog.');
+  });
+});
+
+function startBatch(selected, format) {
   log(`Starting batch download of ${selected.length} chats in ${format} format...`);
 
-  // Show progress
-  const progressDiv = document.getElementById('batchProgress');
-  progressDiv.style.display = 'block';
-  document.getElementById('progressFill').style.width = '0%';
-  document.getElementById('progressText').textContent = `0 / ${selected.length}`;
-  document.getElementById('batchDownloadBtn').disabled = true;
+  const sync = document.getElementById('syncMode').checked;
+  if (sync) log('Sync mode: chats already archived and unchanged will be skipped.');
 
   browserAPI.runtime.sendMessage({
     action: 'batchExtract',
     chats: selected,
-    format
+    format,
+    sync,
+    includeBranches: document.getElementById('includeBranches').checked,
+    output: document.getElementById('zipOutput').checked ? 'zip' : 'files',
+    externalAssets: document.getElementById('externalAssets').checked,
+    workers: parseInt(document.getElementById('workerCount').value, 10) || 1
   }, response => {
-    document.getElementById('batchDownloadBtn').disabled = false;
     if (browserAPI.runtime.lastError) {
       log('Batch error: ' + browserAPI.runtime.lastError.message);
       return;
     }
-    if (response && response.results) {
-      const saved = response.results.filter(r => r.success).length;
-      const failed = response.results.filter(r => !r.success).length;
-      log(`Batch complete: ${saved} downloaded, ${failed} failed.`);
-      response.results.forEach(r => {
-        if (r.success) {
-          log(`  OK: ${r.title} (${r.messageCount} msgs)`);
-        } else {
-          log(`  FAIL: ${r.title} - ${r.error}`);
-        }
-      });
+    if (response?.error) log(response.error);
+    if (response?.job) renderBatchJob(response.job);
+    if (response?.started) log('Batch running in the background; you can close this popup.');
+  });
+}
+
+// Progress bar and pause/resume/cancel/retry buttons for the stored batch job
+function renderBatchJob(job) {
+  const active = job && (job.status === 'running' || job.status === 'paused');
+  document.getElementById('batchDownloadBtn').disabled = Boolean(active);
+  if (!job) return;
+
+  document.getElementById('batchSection').style.display = 'block';
+  document.getElementById('batchProgress').style.display = 'block';
+  document.getElementById('progressFill').style.width = Math.round((job.processed / job.total) * 100) + '%';
+  document.getElementById('progressText').textContent = `${job.processed} / ${job.total} - ${job.status}`;
+
+  const failed = job.counts.error || 0;
+  document.getElementById('pauseBatchBtn').hidden = job.status !== 'running';
+  document.getElementById('resumeBatchBtn').hidden = job.status !== 'paused';
+  document.getElementById('cancelBatchBtn').hidden = !active;
+  document.getElementById('retryBatchBtn').hidden = !failed || job.status === 'running' || job.status === 'cancelled';
+  document.getElementById('retryBatchBtn').textContent = `Retry Failed (${failed})`;
+}
+
+function logBatchSummary(job) {
+  const count = status => job.counts[status] || 0;
+  const destination = { nativeHost: 'native host', zip: 'ZIP archive' }[job.destination] || 'browser downloads';
+  log(`Batch complete via ${destination}: ${count('new')} new, ${count('updated')} updated, ${count('skipped')} skipped, ${count('error')} failed.`);
+  job.results.forEach(r => {
+    if (r.status === 'skipped') {
+      log(`  SKIP: ${r.title} (unchanged)`);
+    } else if (r.success) {
+      log(`  ${r.status === 'updated' ? 'UPDATED' : 'NEW'}: ${r.title} (${r.messageCount} msgs${r.redactions ? `, ${r.redactions} redacted` : ''})${r.path ? ' -> ' + r.path : ''}`);
+    } else {
+      log(`  FAIL: ${r.title} - ${r.error}`);
     }
   });
+  if (job.archive) log(`ZIP archive downloaded: ${job.archive}`);
+  if (job.error) log(job.error);
+}
+
+[
+  ['pauseBatchBtn', 'pauseBatch'],
+  ['resumeBatchBtn', 'resumeBatch'],
+  ['cancelBatchBtn', 'cancelBatch'],
+  ['retryBatchBtn', 'retryFailedBatch']
+].forEach(([id, action]) => {
+  document.getElementById(id).addEventListener('click', () => {
+    browserAPI.runtime.sendMessage({ action }, response => {
+      if (browserAPI.runtime.lastError) {
+        log('Batch error: ' + browserAPI.runtime.lastError.message);
+      } else if (response?.job) {
+        log(`Batch ${response.job.status}.`);
+      }
+    });
+  });
+});
+
+// Show the state of a job that kept running while the popup was closed
+browserAPI.runtime.sendMessage({ action: 'getBatchJob' }, response => {
+  if (browserAPI.runtime.lastError || !response?.job) return;
+  renderBatchJob(response.job);
+  if (response.job.status === 'done') {
+    logBatchSummary(response.job);
+  } else {
+    log(`Batch ${response.job.status}: ${response.job.processed} of ${response.job.total} chats processed.`);
+    if (response.job.error) log(response.job.error);
+  }
 });
 
 // Listen for progress updates from background
@@ -198,8 +617,103 @@ browserAPI.runtime.onMessage.addListener((msg) => {
   if (msg.action === 'batchProgress') {
     const pct = Math.round((msg.current / msg.total) * 100);
     document.getElementById('progressFill').style.width = pct + '%';
-    const statusIcon = msg.status === 'done' ? 'OK' : msg.status === 'error' ? 'ERR' : '...';
+    const statusIcon = { done: 'OK', error: 'ERR', skipped: 'SKIP' }[msg.status] || '...';
     document.getElementById('progressText').textContent =
       `${msg.current} / ${msg.total} - [${statusIcon}] ${msg.title}`;
+  } else if (msg.action === 'batchState' && msg.job) {
+    renderBatchJob(msg.job);
+  } else if (msg.action === 'batchComplete' && msg.job) {
+    renderBatchJob(msg.job);
+    logBatchSummary(msg.job);
   }
 });
+
+// Wraps every occurrence of the query words in <mark>, building nodes rather than HTML
+function highlightSnippet(snippet, words) {
+  const fragment = document.createDocumentFragment();
+  const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const parts = escaped.length ? snippet.split(new RegExp(`(${escaped.join('|')})`, 'gi')) : [snippet];
+  parts.forEach((part, i) => {
+    if (i % 2) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      fragment.appendChild(mark);
+    } else if (part) {
+      fragment.appendChild(document.createTextNode(part));
+    }
+  });
+  return fragment;
+}
+
+function renderSearchResults(results, words) {
+  const container = document.getElementById('searchResults');
+  container.innerHTML = '';
+  results.forEach(result => {
+    const div = document.createElement('div');
+    div.className = 'search-result';
+
+    const title = document.createElement('div');
+    title.className = 'result-title';
+    title.textContent = result.title;
+    div.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'result-meta';
+    meta.textContent = [result.platform, (result.updated || result.created || '').slice(0, 10)].filter(Boolean).join(' · ');
+    div.appendChild(meta);
+
+    result.matches.forEach(match => {
+      const snippet = document.createElement('div');
+      snippet.className = 'result-snippet';
+      snippet.appendChild(document.createTextNode(`${match.role === 'user' ? 'User' : match.role === 'tool' ? 'Tool' : 'AI'}: `));
+      snippet.appendChild(highlightSnippet(match.snippet, words));
+      div.appendChild(snippet);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'batch-controls';
+    const openFile = document.createElement('button');
+    openFile.textContent = 'Open file';
+    openFile.title = result.path;
+    // Chrome only opens file:// pages for extensions allowed to access file URLs
+    openFile.addEventListener('click', () => browserAPI.tabs.create({ url: result.fileUrl }, () => {
+      if (browserAPI.runtime.lastError) log(`Could not open ${result.path}: ${browserAPI.runtime.lastError.message}`);
+    }));
+    actions.appendChild(openFile);
+    if (result.url) {
+      const openChat = document.createElement('button');
+      openChat.textContent = 'Open chat';
+      openChat.title = result.url;
+      openChat.addEventListener('click', () => browserAPI.tabs.create({ url: result.url }));
+      actions.appendChild(openChat);
+    }
+    div.appendChild(actions);
+    container.appendChild(div);
+  });
+}
+
+function searchArchive() {
+  const text = document.getElementById('archiveQuery').value.trim();
+  const query = {
+    text,
+    platform: document.getElementById('archivePlatform').value,
+    role: document.getElementById('archiveRole').value,
+    from: document.getElementById('archiveFrom').value,
+    to: document.getElementById('archiveTo').value
+  };
+  log(`Searching saved chats${text ? ` for ${text}` : ''}...`);
+  browserAPI.runtime.sendMessage({ action: 'searchArchive', query }, response => {
+    if (browserAPI.runtime.lastError || response?.error) {
+      log('Search error: ' + (browserAPI.runtime.lastError?.message || response.error));
+      return;
+    }
+    const words = text.replace(/"/g, ' ').split(/\s+/).filter(word => word.length > 1);
+    renderSearchResults(response.results, words);
+    log(`${response.total} matching conversations${response.total > response.results.length ? `, showing ${response.results.length}` : ''}.`);
+  });
+}
+
+document.getElementById('searchBtn').addEventListener('click', searchArchive);
+document.getElementById('archiveQuery').addEventListener('keydown', event => {
+  if (event.key === 'Enter') searchArchive();
+});
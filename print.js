@@ -0,0 +1,47 @@
+const browserAPI = typeof chrome !== 'undefined' ? chrome : browser;
+
+// print.html?id=<job> renders an HTML export stored by the background and opens the print
+// dialog; "Save as PDF" there produces the PDF. The document title becomes the file name.
+const printJobKey = `printJob:${new URLSearchParams(window.location.search).get('id')}`;
+
+function cssString(text) {
+  return `"${text.replace(/["\\]/g, '\\$&').replace(/\s+/g, ' ')}"`;
+}
+
+// Page margin boxes carry the running header (title and date) and the page numbers
+function pageHeaderCss(title) {
+  const date = new Date().toLocaleDateString();
+  return `@page {
+  @top-left { content: ${cssString(title)}; font-size: 8pt; color: #555; }
+  @top-right { content: ${cssString(date)}; font-size: 8pt; color: #555; }
+  @bottom-center { content: "Page " counter(page) " of " counter(pages); font-size: 8pt; color: #555; }
+}`;
+}
+
+async function renderPrintJob() {
+  const stored = await browserAPI.storage.local.get(printJobKey);
+  const job = stored[printJobKey];
+  if (!job) {
+    document.body.textContent = 'This print view has expired. Export the conversation again.';
+    return;
+  }
+  await browserAPI.storage.local.remove(printJobKey);
+
+  const parsed = new DOMParser().parseFromString(job.html, 'text/html');
+  document.title = job.fileName;
+  parsed.head.querySelectorAll('style').forEach(style => document.head.insertBefore(style, document.head.querySelector('link')));
+  const headerStyle = document.createElement('style');
+  headerStyle.textContent = pageHeaderCss(job.title);
+  document.head.appendChild(headerStyle);
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'print-toolbar';
+  toolbar.innerHTML = '<span>Choose "Save as PDF" as the destination.</span><button type="button">Print / Save as PDF</button>';
+  toolbar.querySelector('button').addEventListener('click', () => window.print());
+  document.body.replaceChildren(toolbar, ...parsed.body.childNodes);
+
+  await Promise.all(Array.from(document.images).map(img => img.decode().catch(() => {})));
+  window.print();
+}
+
+renderPrintJob();
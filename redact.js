@@ -0,0 +1,261 @@
+// Redaction of secrets and personal data between extraction and formatting. Built-in detectors
+// cover common key and token formats, emails, phone numbers and IP addresses; users add their
+// own patterns and an allowlist. Matches are masked, replaced by a short hash (the same value
+// always gets the same hash, so a reader can still tell values apart) or removed.
+
+const REDACTION_DETECTORS = {
+  secrets: [
+    { label: 'private key', pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----/g },
+    { label: 'AWS access key', pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA)[0-9A-Z]{16}\b/g },
+    { label: 'AWS secret key', pattern: /(?<=aws_?secret_?access_?key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/gi },
+    { label: 'Azure storage key', pattern: /(?<=AccountKey=)[A-Za-z0-9+/]{40,}={0,2}/g },
+    { label: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}(?![\w-])/g },
+    { label: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+    { label: 'GitLab token', pattern: /\bglpat-[A-Za-z0-9_-]{20,}(?![\w-])/g },
+    { label: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}(?![\w-])/g },
+    { label: 'Slack webhook', pattern: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/]+/g },
+    { label: 'Stripe key', pattern: /\b[rs]k_(?:live|test)_[0-9A-Za-z]{16,}\b/g },
+    { label: 'Anthropic API key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}(?![\w-])/g },
+    { label: 'OpenAI API key', pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}(?![\w-])/g },
+    { label: 'JSON web token', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+    { label: 'bearer token', pattern: /(?<=\bBearer\s+)[A-Za-z0-9._~+/-]{20,}=*/g },
+    { label: 'URL password', pattern: /(?<=:\/\/[^\s:/@]+:)[^\s@/]+(?=@)/g }
+  ],
+  emails: [
+    // Not the user:password@host part of a URL, which the URL password detector handles
+    { label: 'email', pattern: /(?<!\/\/[^\s/@]*)[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g }
+  ],
+  // Separators are required so dates, versions and plain numbers are left alone
+  phones: [
+    { label: 'phone number', pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4}(?!\w)/g },
+    { label: 'phone number', pattern: /\+\d{8,15}\b/g }
+  ],
+  ips: [
+    { label: 'IPv4 address', pattern: /(?<![\w.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?!\w|\.\d)/g },
+    { label: 'IPv6 address', pattern: /(?<![\w:])(?:(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}|(?:[0-9a-f]{1,4}:){1,7}(?::[0-9a-f]{1,4}){1,7})(?![\w:])/gi }
+  ]
+};
+
+const REDACTION_TAGS = { secrets: 'SECRET', emails: 'EMAIL', phones: 'PHONE', ips: 'IP', custom: 'CUSTOM' };
+
+// Which setting switches each group of detectors on
+const REDACTION_SETTING_KEYS = { secrets: 'redactSecrets', emails: 'redactEmails', phones: 'redactPhones', ips: 'redactIps' };
+
+// Embedded images are base64 and would otherwise trip the detectors
+const DATA_URI_PATTERN = /data:[^,\s"')]*;base64,[A-Za-z0-9+/=]+/g;
+
+// Part fields that describe the part rather than hold chat content
+const REDACTION_SKIPPED_KEYS = ['type', 'kind', 'language', 'file', 'version'];
+
+// In message HTML, text runs on through these elements; any other element separates the text
+// around it with REDACTION_BOUNDARY, which only patterns that span anything (private keys) cross
+const REDACTION_INLINE_TAGS = new Set([
+  'A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'CODE', 'DATA', 'DEL', 'DFN', 'EM', 'I', 'INS', 'KBD', 'MARK',
+  'Q', 'S', 'SAMP', 'SMALL', 'SPAN', 'STRIKE', 'STRONG', 'SUB', 'SUP', 'TIME', 'U', 'VAR'
+]);
+const REDACTION_BOUNDARY = '\u0000';
+
+// Attributes of message HTML that can hold chat content (link targets, image sources, tooltips)
+const REDACTION_HTML_ATTRIBUTES = ['href', 'src', 'title', 'alt'];
+
+function splitRedactionLines(text) {
+  return (text || '').split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+}
+
+// "/pattern/flags" as written; a bare pattern matches case-insensitively
+function parseRedactionPattern(line, global = true) {
+  const literal = /^\/(.+)\/([a-z]*)$/.exec(line);
+  const [source, flags] = literal ? [literal[1], literal[2].replace('g', '')] : [line, 'i'];
+  return new RegExp(source, global ? `${flags}g` : flags);
+}
+
+function isValidRedactionPattern(line) {
+  try {
+    parseRedactionPattern(line);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// The first line of `text` that is not a valid pattern, for the options page to point out
+function findInvalidRedactionPattern(text) {
+  return splitRedactionLines(text).find(line => !isValidRedactionPattern(line));
+}
+
+// Rules for the enabled detectors and the user's patterns, or null when redaction is off.
+// Allowlist lines are exact values (any case) or /patterns/ tested against each match.
+function buildRedactionRules(settings) {
+  if (!settings.redact) return null;
+  const rules = [];
+  Object.entries(REDACTION_SETTING_KEYS).forEach(([group, key]) => {
+    if (settings[key]) REDACTION_DETECTORS[group].forEach(detector => rules.push({ ...detector, tag: REDACTION_TAGS[group] }));
+  });
+  splitRedactionLines(settings.redactionRules).filter(isValidRedactionPattern).forEach((line, i) => {
+    rules.push({ label: `custom rule ${i + 1}`, tag: REDACTION_TAGS.custom, pattern: parseRedactionPattern(line) });
+  });
+  const allowlist = splitRedactionLines(settings.redactionAllowlist)
+    .filter(isValidRedactionPattern)
+    .map(line => /^\/.+\/[a-z]*$/.test(line) ? parseRedactionPattern(line, false) : line.toLowerCase());
+  return { mode: settings.redactionMode || 'mask', rules, allowlist };
+}
+
+function isAllowed(value, allowlist) {
+  return allowlist.some(entry => typeof entry === 'string' ? entry === value.toLowerCase() : entry.test(value));
+}
+
+// Matches of every rule, outside data URIs; of overlapping matches the earliest, then longest wins
+function findRedactions(text, redaction) {
+  const skipped = Array.from(text.matchAll(DATA_URI_PATTERN), match => [match.index, match.index + match[0].length]);
+  const found = [];
+  redaction.rules.forEach(rule => {
+    for (const match of text.matchAll(rule.pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (!match[0] || isAllowed(match[0], redaction.allowlist) || skipped.some(([from, to]) => start < to && end > from)) continue;
+      found.push({ rule, start, end, value: match[0] });
+    }
+  });
+  found.sort((a, b) => (a.start - b.start) || (b.end - a.end));
+  let covered = 0;
+  return found.filter(match => {
+    if (match.start < covered) return false;
+    covered = match.end;
+    return true;
+  });
+}
+
+async function hashRedactedValue(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest).slice(0, 5), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function redactionReplacement(match, mode) {
+  if (mode === 'remove') return '';
+  if (mode === 'hash') return `[${match.rule.tag} ${await hashRedactedValue(match.value)}]`;
+  return `[REDACTED ${match.rule.tag}]`;
+}
+
+async function redactText(text, redaction, onMatch) {
+  if (typeof text !== 'string' || !text) return text;
+  let result = '';
+  let offset = 0;
+  for (const match of findRedactions(text, redaction)) {
+    result += text.slice(offset, match.start) + await redactionReplacement(match, redaction.mode);
+    offset = match.end;
+    onMatch(match.rule);
+  }
+  return result + text.slice(offset);
+}
+
+function collectRedactionText(node, pieces) {
+  node.childNodes.forEach(child => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      pieces.push({ node: child, text: child.data });
+    } else if (child.nodeType === Node.ELEMENT_NODE) {
+      const inline = REDACTION_INLINE_TAGS.has(child.tagName.toUpperCase());
+      if (!inline) pieces.push({ node: null, text: REDACTION_BOUNDARY });
+      collectRedactionText(child, pieces);
+      if (!inline) pieces.push({ node: null, text: REDACTION_BOUNDARY });
+    }
+  });
+}
+
+// Redacts the text of message HTML, never its markup: matches are found in the joined text and
+// rewritten inside the text nodes holding them, the replacement going to the first of them.
+// Only text matches reach onMatch. Returns the HTML unchanged when nothing matched.
+async function redactHtml(html, redaction, onMatch = () => {}) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const pieces = [];
+  collectRedactionText(template.content, pieces);
+  let offset = 0;
+  pieces.forEach(piece => {
+    piece.start = offset;
+    offset += piece.text.length;
+  });
+
+  // Last match first, so the offsets of earlier ones still hold in the nodes being edited
+  const matches = findRedactions(pieces.map(piece => piece.text).join(''), redaction).reverse();
+  let changed = matches.length > 0;
+  for (const match of matches) {
+    const replacement = await redactionReplacement(match, redaction.mode);
+    onMatch(match.rule);
+    pieces
+      .filter(piece => piece.node && piece.start < match.end && piece.start + piece.text.length > match.start)
+      .forEach((piece, i) => {
+        const from = Math.max(match.start - piece.start, 0);
+        const to = Math.min(match.end - piece.start, piece.text.length);
+        piece.node.data = piece.node.data.slice(0, from) + (i ? '' : replacement) + piece.node.data.slice(to);
+      });
+  }
+
+  const selector = REDACTION_HTML_ATTRIBUTES.map(name => `[${name}]`).join(', ');
+  for (const element of template.content.querySelectorAll(selector)) {
+    for (const name of REDACTION_HTML_ATTRIBUTES) {
+      const value = element.getAttribute(name);
+      if (!value) continue;
+      const redacted = await redactText(value, redaction, () => {});
+      if (redacted === value) continue;
+      element.setAttribute(name, redacted);
+      changed = true;
+    }
+  }
+  return changed ? template.innerHTML : html;
+}
+
+// Strings anywhere inside message parts (code, outputs, citations, documents, thinking)
+async function redactValue(value, redaction, onMatch) {
+  if (typeof value === 'string') return redactText(value, redaction, onMatch);
+  if (Array.isArray(value)) {
+    const items = [];
+    for (const item of value) items.push(await redactValue(item, redaction, onMatch));
+    return items;
+  }
+  if (!value || typeof value !== 'object') return value;
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = REDACTION_SKIPPED_KEYS.includes(key) ? item : await redactValue(item, redaction, onMatch);
+  }
+  return result;
+}
+
+// Rewrites the title, the messages (text, HTML and parts) and the text files saved alongside
+// (canvas documents, artifacts) in place. Message text is HTML when rendering to 'html' (PDFs
+// included) and is then redacted like the HTML. The report never contains the redacted values.
+async function redactConversation(conversation, redaction, files = [], format = 'markdown') {
+  const tally = new Map();
+  const counter = location => rule => {
+    const entry = tally.get(rule.label) || { rule: rule.label, count: 0, messages: [] };
+    entry.count++;
+    if (location && !entry.messages.includes(location)) entry.messages.push(location);
+    tally.set(rule.label, entry);
+  };
+
+  conversation.title = await redactText(conversation.title, redaction, counter(null));
+  for (let i = 0; i < conversation.messages.length; i++) {
+    const [speaker, text, meta] = conversation.messages[i];
+    const onMatch = counter(i + 1);
+    const redactedMeta = meta ? { ...meta } : meta;
+    // The HTML and parts hold the same content as the text, so only the text is counted
+    if (meta && meta.html) redactedMeta.html = await redactHtml(meta.html, redaction);
+    if (meta && meta.parts) redactedMeta.parts = await redactValue(meta.parts, redaction, () => {});
+    const redactedText = format === 'html' ? await redactHtml(text, redaction, onMatch) : await redactText(text, redaction, onMatch);
+    conversation.messages[i] = [speaker, redactedText, redactedMeta];
+  }
+  for (const file of files) {
+    if (file.encoding !== 'base64') file.data = await redactText(file.data, redaction, counter(null));
+  }
+
+  const rules = Array.from(tally.values());
+  const report = { mode: redaction.mode, total: rules.reduce((sum, entry) => sum + entry.count, 0), rules };
+  conversation.redaction = report;
+  return report;
+}
+
+function describeRedactionReport(report) {
+  if (!report.total) return 'Redaction: nothing found to redact';
+  const rules = report.rules.map(entry =>
+    `${entry.count} ${entry.rule}${entry.messages.length ? ` (message ${entry.messages.join(', ')})` : ''}`);
+  return `Redacted ${report.total} values (${report.mode}): ${rules.join('; ')}`;
+}
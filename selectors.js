@@ -0,0 +1,93 @@
+// Per-platform DOM selectors for the page scrapers. Each role lists its strategies in order of
+// preference: the exact selector the site uses today first, then data attributes, ARIA roles and
+// partial class matches that survive a redeploy renaming hashed class names. The first strategy
+// that finds anything is used; diagnoseSelectors reports how every strategy fares on the page.
+
+// Bump when strategies change so a debug log shows which registry produced it
+const SELECTOR_REGISTRY_VERSION = 1;
+
+const SELECTOR_REGISTRY = {
+  [PLATFORMS.CHATGPT]: {
+    message: [
+      { strategy: 'data attribute', selector: 'article[data-testid^="conversation-turn-"]' },
+      { strategy: 'tag', selector: 'article' },
+      { strategy: 'data attribute', selector: '[data-testid^="conversation-turn-"]' }
+    ],
+    author: [
+      { strategy: 'data attribute', selector: '[data-message-author-role]' }
+    ],
+    content: [
+      { strategy: 'class', selector: '.markdown, .whitespace-pre-wrap' },
+      { strategy: 'partial class', selector: '[class*="markdown"], [class*="whitespace-pre"]' }
+    ],
+    history: [
+      { strategy: 'id', selector: '#history' },
+      { strategy: 'aria', selector: 'nav[aria-label="Chat history"]' },
+      { strategy: 'tag', selector: 'nav' }
+    ]
+  },
+  [PLATFORMS.CLAUDE]: {
+    message: [
+      { strategy: 'class', selector: 'div.font-user-message, div.font-claude-message' },
+      { strategy: 'data attribute', selector: '[data-testid="user-message"], [data-is-streaming]' },
+      { strategy: 'partial class', selector: '[class*="font-user-message"], [class*="font-claude-message"]' }
+    ],
+    userMessage: [
+      { strategy: 'class', selector: 'div.font-user-message' },
+      { strategy: 'data attribute', selector: '[data-testid="user-message"]' },
+      { strategy: 'partial class', selector: '[class*="font-user-message"]' }
+    ]
+  },
+  [PLATFORMS.POE]: {
+    messagePair: [
+      { strategy: 'class', selector: 'div.ChatMessagesView_messagePair__ZEXUz' },
+      { strategy: 'partial class', selector: '[class*="ChatMessagesView_messagePair"]' },
+      { strategy: 'partial class', selector: '[class*="messagePair"]' }
+    ],
+    messageWrapper: [
+      { strategy: 'class', selector: 'div.ChatMessage_messageWrapper__4Ugd6' },
+      { strategy: 'partial class', selector: '[class*="ChatMessage_messageWrapper"]' },
+      { strategy: 'aria', selector: '[role="listitem"]' }
+    ],
+    userMessage: [
+      { strategy: 'class', selector: 'div.ChatMessage_rightSideMessageWrapper__r0roB' },
+      { strategy: 'partial class', selector: '[class*="rightSideMessageWrapper"]' }
+    ],
+    markdown: [
+      { strategy: 'class', selector: 'div.Markdown_markdownContainer__Tz3HQ' },
+      { strategy: 'partial class', selector: '[class*="Markdown_markdownContainer"]' },
+      { strategy: 'partial class', selector: '[class*="markdownContainer"]' }
+    ]
+  }
+};
+
+// First strategy for `role` that matches inside `root`, with the nodes it found
+function resolveSelector(platform, role, root = document) {
+  for (const entry of SELECTOR_REGISTRY[platform][role]) {
+    const nodes = root.querySelectorAll(entry.selector);
+    if (nodes.length) return { ...entry, nodes: Array.from(nodes) };
+  }
+  return null;
+}
+
+function selectAll(platform, role, root = document) {
+  const match = resolveSelector(platform, role, root);
+  return match ? match.nodes : [];
+}
+
+function selectFirst(platform, role, root = document) {
+  return selectAll(platform, role, root)[0] || null;
+}
+
+function matchesRole(element, platform, role) {
+  return SELECTOR_REGISTRY[platform][role].some(entry => element.matches(entry.selector));
+}
+
+// Node counts for every strategy of every role; `used` is the strategy the scrapers would pick
+function diagnoseSelectors(platform, root = document) {
+  return Object.entries(SELECTOR_REGISTRY[platform] || {}).map(([role, strategies]) => {
+    const results = strategies.map(entry => ({ ...entry, count: root.querySelectorAll(entry.selector).length }));
+    const used = results.find(result => result.count > 0);
+    return { role, strategies: results, used: used ? used.selector : null };
+  });
+}
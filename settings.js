@@ -0,0 +1,46 @@
+// User settings kept in storage.sync, shared by the popup, the options page, the content
+// script and the background worker. Timeouts are stored in seconds.
+
+const DEFAULT_SETTINGS = {
+  format: 'markdown',
+  // Empty means the native host's own default directory
+  outputDir: '',
+  windowSize: 4,
+  workers: 2,
+  loadTimeout: 30,
+  readyTimeout: 30,
+  extractTimeout: 60,
+  // 'embed' inlines images as data URIs, 'files' saves images and attachments separately
+  imageHandling: 'embed',
+  fileNameTemplate: DEFAULT_FILENAME_TEMPLATE,
+  // YAML front matter in Markdown and <meta> tags in HTML exports
+  frontMatter: false,
+  // Comma-separated tags written into the front matter
+  tags: '',
+  // Secrets and personal data are redacted before formatting; see redact.js
+  redact: false,
+  // 'mask', 'hash' or 'remove'
+  redactionMode: 'mask',
+  redactSecrets: true,
+  redactEmails: true,
+  redactPhones: true,
+  redactIps: true,
+  // One pattern per line; /pattern/flags or a bare, case-insensitive pattern
+  redactionRules: '',
+  // Values never redacted: one exact value or /pattern/ per line
+  redactionAllowlist: ''
+};
+
+function getSettingsStorage() {
+  return (typeof chrome !== 'undefined' ? chrome : browser).storage.sync;
+}
+
+function loadSettings() {
+  return new Promise(resolve => {
+    getSettingsStorage().get(DEFAULT_SETTINGS, stored => resolve({ ...DEFAULT_SETTINGS, ...stored }));
+  });
+}
+
+function saveSettings(changes) {
+  return new Promise(resolve => getSettingsStorage().set(changes, resolve));
+}
@@ -0,0 +1,67 @@
+// The background worker under a minimal extension API: storage.local in memory, listeners ignored
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadBackground(stored) {
+  const storage = { ...stored };
+  const event = { addListener() {} };
+  const chrome = {
+    tabs: { onUpdated: event },
+    runtime: { onMessage: event, sendMessage: () => Promise.resolve() },
+    storage: {
+      local: {
+        get: async key => (key in storage ? { [key]: structuredClone(storage[key]) } : {}),
+        set: async values => Object.assign(storage, structuredClone(values)),
+        remove: async keys => [].concat(keys).forEach(key => delete storage[key])
+      }
+    }
+  };
+  const context = vm.createContext({ chrome, console, structuredClone });
+  const load = file => {
+    const filename = path.join(__dirname, '..', file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  };
+  context.importScripts = (...files) => files.forEach(load);
+  load('background.js');
+  // Record runs instead of opening batch windows
+  context.runs = 0;
+  vm.runInContext('runBatchJob = () => { runs++; }', context);
+  return { context, storage };
+}
+
+function batchJob(status) {
+  return {
+    id: 'job-1',
+    status,
+    format: 'markdown',
+    items: [
+      { chat: { id: 'a' }, status: 'new', result: {} },
+      { chat: { id: 'b' }, status: 'error', result: { error: 'timeout' } },
+      { chat: { id: 'c' }, status: 'pending' }
+    ]
+  };
+}
+
+test('retrying a cancelled batch is refused and leaves its pending chats alone', async () => {
+  const { context, storage } = loadBackground({ batchJob: batchJob('cancelled') });
+  await context.controlBatchJob('retryFailedBatch');
+
+  assert.equal(storage.batchJob.status, 'cancelled');
+  assert.deepEqual(storage.batchJob.items.map(item => item.status), ['new', 'error', 'pending']);
+  assert.equal(context.runs, 0);
+});
+
+test('retrying a finished batch runs only its failed chats again', async () => {
+  const job = batchJob('done');
+  job.items[2].status = 'skipped';
+  const { context, storage } = loadBackground({ batchJob: job });
+  await context.controlBatchJob('retryFailedBatch');
+
+  assert.equal(storage.batchJob.status, 'running');
+  assert.deepEqual(storage.batchJob.items.map(item => item.status), ['new', 'pending', 'skipped']);
+  assert.equal(context.runs, 1);
+});
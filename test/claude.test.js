@@ -0,0 +1,73 @@
+// convertClaudeConversation on conversation data shaped like the Claude API and data export
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { loadScripts } = require('./dom-shim');
+
+const context = loadScripts(
+  'filename.js', 'settings.js', 'math.js', 'markdown.js', 'htmlexport.js', 'parts.js', 'conversation.js', 'claude.js'
+);
+const { convertClaudeConversation, formatConversation } = context;
+const CLAUDE = vm.runInContext('PLATFORMS.CLAUDE', context);
+
+// Values from the scripts' realm, as plain data that deepEqual compares by structure
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const ROOT = '00000000-0000-4000-8000-000000000000';
+
+function message(uuid, sender, text, parent, index, createdAt = `2024-05-01T10:00:0${index}.000Z`) {
+  return { uuid, sender, text, index, created_at: createdAt, parent_message_uuid: parent, content: [{ type: 'text', text }] };
+}
+
+// The first prompt was edited once, so the chat has two root prompts
+const editedFirstPrompt = {
+  uuid: 'c1',
+  name: 'Edited opening',
+  created_at: '2024-05-01T10:00:00.000Z',
+  updated_at: '2024-05-01T10:05:00.000Z',
+  current_leaf_message_uuid: 'a2',
+  chat_messages: [
+    message('u1', 'human', 'First wording', ROOT, 0),
+    message('a1', 'assistant', 'Answer to the first wording', 'u1', 1),
+    message('u2', 'human', 'Second wording', ROOT, 2),
+    message('a2', 'assistant', 'Answer to the second wording', 'u2', 3)
+  ]
+};
+
+test('sibling root prompts are labelled as prompt versions', async () => {
+  const conversation = await convertClaudeConversation(editedFirstPrompt, 'markdown', { includeBranches: true });
+  const branches = conversation.messages.map(([, text, meta]) => [text, meta.branch || null]);
+
+  assert.deepEqual(plain(branches), [
+    ['First wording', { index: 1, count: 2, current: false }],
+    ['Answer to the first wording', null],
+    ['Second wording', { index: 2, count: 2, current: true }],
+    ['Answer to the second wording', null]
+  ]);
+  const markdown = formatConversation(CLAUDE, conversation, 'markdown');
+  assert.match(markdown, /Prompt version 1 of 2\b/);
+  assert.match(markdown, /Prompt version 2 of 2, shown in chat/);
+});
+
+test('without branches only the visible path is exported, unlabelled', async () => {
+  const conversation = await convertClaudeConversation(editedFirstPrompt, 'markdown');
+
+  assert.deepEqual(plain(conversation.messages.map(([, text]) => text)), ['Second wording', 'Answer to the second wording']);
+  assert.ok(conversation.messages.every(([, , meta]) => !meta.branch));
+});
+
+test('exported messages without created_at keep their order', async () => {
+  const exported = {
+    uuid: 'c2',
+    name: 'Export without times',
+    chat_messages: [
+      { uuid: 'u1', sender: 'human', text: 'Question', content: [{ type: 'text', text: 'Question' }] },
+      { uuid: 'a1', sender: 'assistant', text: 'Answer', created_at: '2024-05-01T10:00:01.000Z', content: [{ type: 'text', text: 'Answer' }] },
+      { uuid: 'u2', sender: 'human', text: 'Follow-up', content: [{ type: 'text', text: 'Follow-up' }] }
+    ]
+  };
+  const conversation = await convertClaudeConversation(exported, 'markdown');
+
+  assert.deepEqual(plain(conversation.messages.map(([, text]) => text)), ['Question', 'Answer', 'Follow-up']);
+});
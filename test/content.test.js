@@ -0,0 +1,79 @@
+// The content script's message picker on chatgpt.com, with the backend API answered in memory
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { document, loadScriptsWith } = require('./dom-shim');
+
+const CONTENT_SCRIPTS = [
+  'zip.js', 'filename.js', 'settings.js', 'math.js', 'markdown.js', 'htmlexport.js', 'parts.js',
+  'conversation.js', 'redact.js', 'selectors.js', 'chatgpt.js', 'claude.js', 'content.js'
+];
+
+const CONVERSATION = {
+  conversation_id: 'abc',
+  title: 'Picker',
+  current_node: 'answer',
+  mapping: {
+    root: { children: ['prompt'] },
+    prompt: {
+      parent: 'root',
+      children: ['answer'],
+      message: {
+        author: { role: 'user' },
+        content: { content_type: 'multimodal_text', parts: ['What is this?', { content_type: 'image_asset_pointer', asset_pointer: 'file-service://file-1' }] }
+      }
+    },
+    answer: { parent: 'prompt', children: [], message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['A cat.'] } } }
+  }
+};
+
+function loadContentScript() {
+  const location = { hostname: 'chatgpt.com', pathname: '/c/abc', href: 'https://chatgpt.com/c/abc', origin: 'https://chatgpt.com' };
+  const context = loadScriptsWith({
+    chrome: { runtime: { onMessage: { addListener() {} } } },
+    window: { location },
+    location,
+    // No message elements on the page
+    document: { ...document, querySelector: () => null, querySelectorAll: () => [] }
+  }, ...CONTENT_SCRIPTS);
+  context.calls = { api: 0, files: 0 };
+  context.apiAvailable = true;
+  context.conversation = CONVERSATION;
+  vm.runInContext(`
+    fetchChatGPTJson = async () => {
+      calls.api++;
+      if (!apiAvailable) throw new Error('offline');
+      return conversation;
+    };
+    fetchChatGPTFile = async () => {
+      calls.files++;
+      return 'data:image/png;base64,AAAA';
+    };
+  `, context);
+  return context;
+}
+
+test('the message list comes from text only and names its source', async () => {
+  const context = loadContentScript();
+  const list = await context.listMessages();
+
+  assert.equal(list.source, 'api');
+  assert.deepEqual(JSON.parse(JSON.stringify(list.messages.map(message => message.preview))), ['What is this? [image]', 'A cat.']);
+  assert.equal(context.calls.files, 0);
+});
+
+test('an export of picked messages reads the source they were picked from', async () => {
+  const context = loadContentScript();
+  const extract = source => context.extractConversationFromPlatform('ChatGPT', 'markdown', () => {}, { source });
+
+  assert.equal((await extract('api')).source, 'api');
+  context.calls.api = 0;
+  const page = await extract('page');
+  assert.equal(page.source, 'page');
+  assert.equal(context.calls.api, 0);
+
+  context.apiAvailable = false;
+  await assert.rejects(extract('api'), /API unavailable for the picked messages/);
+  assert.equal((await extract(undefined)).source, 'page');
+});
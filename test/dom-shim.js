@@ -0,0 +1,340 @@
+// Just enough DOM to run the content-script converters under Node: an HTML parser for
+// <template>.innerHTML, node traversal, and compound selectors (tag, .class, #id, [attr],
+// [attr="v"], [attr^="v"], [attr*="v"], comma lists). Descendant combinators are not supported
+// and throw, so a converter that starts relying on them fails loudly instead of matching wrongly.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const Node = { ELEMENT_NODE: 1, TEXT_NODE: 3, COMMENT_NODE: 8, DOCUMENT_FRAGMENT_NODE: 11 };
+
+const VOID_TAGS = new Set(['AREA', 'BASE', 'BR', 'COL', 'EMBED', 'HR', 'IMG', 'INPUT', 'LINK', 'META', 'SOURCE', 'TRACK', 'WBR']);
+const RAW_TEXT_TAGS = new Set(['SCRIPT', 'STYLE', 'TEXTAREA']);
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === '#') return String.fromCodePoint(parseInt(name.slice(1).replace(/^x/i, ''), /^#x/i.test(name) ? 16 : 10));
+    return ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;');
+}
+
+class ShimNode {
+  constructor(nodeType) {
+    this.nodeType = nodeType;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get parentElement() {
+    return this.parentNode && this.parentNode.nodeType === Node.ELEMENT_NODE ? this.parentNode : null;
+  }
+
+  get previousSibling() {
+    return this.parentNode ? this.parentNode.childNodes[this.parentNode.childNodes.indexOf(this) - 1] || null : null;
+  }
+
+  get nextSibling() {
+    return this.parentNode ? this.parentNode.childNodes[this.parentNode.childNodes.indexOf(this) + 1] || null : null;
+  }
+
+  get previousElementSibling() {
+    const siblings = this.parentNode ? this.parentNode.children : [];
+    return siblings[siblings.indexOf(this) - 1] || null;
+  }
+
+  get nextElementSibling() {
+    const siblings = this.parentNode ? this.parentNode.children : [];
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  get children() {
+    return this.childNodes.filter(child => child.nodeType === Node.ELEMENT_NODE);
+  }
+
+  get textContent() {
+    return this.childNodes.filter(child => child.nodeType !== Node.COMMENT_NODE).map(child => child.textContent).join('');
+  }
+
+  get innerHTML() {
+    return this.childNodes.map(serialize).join('');
+  }
+
+  set innerHTML(html) {
+    this.childNodes.forEach(child => { child.parentNode = null; });
+    this.childNodes = [];
+    parseHtml(html, this);
+  }
+
+  appendChild(node) {
+    const nodes = node.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? [...node.childNodes] : [node];
+    nodes.forEach(child => {
+      if (child.parentNode) child.remove();
+      child.parentNode = this;
+      this.childNodes.push(child);
+    });
+    return node;
+  }
+
+  remove() {
+    if (!this.parentNode) return;
+    this.parentNode.childNodes.splice(this.parentNode.childNodes.indexOf(this), 1);
+    this.parentNode = null;
+  }
+
+  replaceWith(node) {
+    const parent = this.parentNode;
+    if (!parent) return;
+    if (node.parentNode) node.remove();
+    parent.childNodes.splice(parent.childNodes.indexOf(this), 1, node);
+    node.parentNode = parent;
+    this.parentNode = null;
+  }
+
+  contains(node) {
+    for (let current = node; current; current = current.parentNode) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+
+  querySelectorAll(selector) {
+    const compiled = compileSelector(selector);
+    const found = [];
+    const visit = node => node.children.forEach(child => {
+      if (compiled(child)) found.push(child);
+      visit(child);
+    });
+    visit(this);
+    return found;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+class ShimText extends ShimNode {
+  constructor(data) {
+    super(Node.TEXT_NODE);
+    this.data = data;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  cloneNode() {
+    return new ShimText(this.data);
+  }
+}
+
+class ShimComment extends ShimNode {
+  constructor(data) {
+    super(Node.COMMENT_NODE);
+    this.data = data;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  cloneNode() {
+    return new ShimComment(this.data);
+  }
+}
+
+class ShimFragment extends ShimNode {
+  constructor() {
+    super(Node.DOCUMENT_FRAGMENT_NODE);
+  }
+
+  cloneNode(deep) {
+    const clone = new ShimFragment();
+    if (deep) this.childNodes.forEach(child => clone.appendChild(child.cloneNode(true)));
+    return clone;
+  }
+}
+
+class ShimElement extends ShimNode {
+  constructor(tagName) {
+    super(Node.ELEMENT_NODE);
+    this.tagName = tagName.toUpperCase();
+    this.attributes = new Map();
+    if (this.tagName === 'TEMPLATE') this.content = new ShimFragment();
+  }
+
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+
+  get classList() {
+    const names = this.className.split(/\s+/).filter(Boolean);
+    return { contains: name => names.includes(name) };
+  }
+
+  get dataset() {
+    const data = {};
+    this.attributes.forEach((value, name) => {
+      if (name.startsWith('data-')) data[name.slice(5).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = value;
+    });
+    return data;
+  }
+
+  get innerHTML() {
+    return (this.content || this).childNodes.map(serialize).join('');
+  }
+
+  set innerHTML(html) {
+    const target = this.content || this;
+    target.childNodes.forEach(child => { child.parentNode = null; });
+    target.childNodes = [];
+    parseHtml(html, target);
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name.toLowerCase()) ? this.attributes.get(name.toLowerCase()) : null;
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name.toLowerCase());
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name.toLowerCase(), String(value));
+  }
+
+  matches(selector) {
+    return compileSelector(selector)(this);
+  }
+
+  closest(selector) {
+    const compiled = compileSelector(selector);
+    for (let node = this; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentNode) {
+      if (compiled(node)) return node;
+    }
+    return null;
+  }
+
+  cloneNode(deep) {
+    const clone = new ShimElement(this.tagName);
+    this.attributes.forEach((value, name) => clone.attributes.set(name, value));
+    if (deep) this.childNodes.forEach(child => clone.appendChild(child.cloneNode(true)));
+    return clone;
+  }
+}
+
+function serialize(node) {
+  if (node.nodeType === Node.TEXT_NODE) return escapeText(node.data);
+  if (node.nodeType === Node.COMMENT_NODE) return `<!--${node.data}-->`;
+  const tag = node.tagName.toLowerCase();
+  const attrs = Array.from(node.attributes, ([name, value]) => ` ${name}="${value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`).join('');
+  if (VOID_TAGS.has(node.tagName)) return `<${tag}${attrs}>`;
+  return `<${tag}${attrs}>${node.innerHTML}</${tag}>`;
+}
+
+// Well-formed markup is all the fixtures hold; unmatched end tags are ignored and `/>` closes any tag
+function parseHtml(html, root) {
+  // Open elements with the node their children go to (a template's content fragment)
+  const stack = [{ tag: null, target: root }];
+  const current = () => stack[stack.length - 1].target;
+  const token = /<!--([\s\S]*?)-->|<!(?:[^>]*)>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+  let offset = 0;
+  let match;
+
+  while ((match = token.exec(html))) {
+    if (match.index > offset) current().appendChild(new ShimText(decodeEntities(html.slice(offset, match.index))));
+    offset = token.lastIndex;
+    const [, comment, endTag, startTag, attrs, selfClosing] = match;
+
+    if (comment !== undefined) {
+      current().appendChild(new ShimComment(comment));
+    } else if (endTag) {
+      const index = stack.map(entry => entry.tag).lastIndexOf(endTag.toUpperCase());
+      if (index > 0) stack.length = index;
+    } else if (startTag) {
+      const element = new ShimElement(startTag);
+      for (const attr of attrs.matchAll(/([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+        element.setAttribute(attr[1], decodeEntities(attr[2] ?? attr[3] ?? attr[4] ?? ''));
+      }
+      current().appendChild(element);
+      if (RAW_TEXT_TAGS.has(element.tagName) && !selfClosing) {
+        const end = html.toLowerCase().indexOf(`</${startTag.toLowerCase()}`, offset);
+        const stop = end === -1 ? html.length : end;
+        if (stop > offset) element.appendChild(new ShimText(html.slice(offset, stop)));
+        token.lastIndex = offset = stop;
+      } else if (!VOID_TAGS.has(element.tagName) && !selfClosing) {
+        stack.push({ tag: element.tagName, target: element.content || element });
+      }
+    }
+  }
+  if (offset < html.length) current().appendChild(new ShimText(decodeEntities(html.slice(offset))));
+}
+
+const compiledSelectors = new Map();
+
+function compileSelector(selector) {
+  if (!compiledSelectors.has(selector)) {
+    const alternatives = selector.split(',').map(part => compileCompound(part.trim(), selector));
+    compiledSelectors.set(selector, node => alternatives.some(test => test(node)));
+  }
+  return compiledSelectors.get(selector);
+}
+
+function compileCompound(compound, selector) {
+  const match = /^([a-zA-Z][\w-]*|\*)?((?:\.[\w-]+|#[\w-]+|\[[^\]]+\])*)$/.exec(compound);
+  if (!match) throw new Error(`Unsupported selector in the DOM shim: ${selector}`);
+  const tests = [];
+  if (match[1] && match[1] !== '*') tests.push(node => node.tagName === match[1].toUpperCase());
+  for (const [part] of match[2].matchAll(/\.[\w-]+|#[\w-]+|\[[^\]]+\]/g)) {
+    if (part[0] === '.') tests.push(node => node.classList.contains(part.slice(1)));
+    else if (part[0] === '#') tests.push(node => node.getAttribute('id') === part.slice(1));
+    else {
+      const attr = /^\[\s*([\w-]+)\s*(?:([\^*$]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s\]]+))\s*)?\]$/.exec(part);
+      if (!attr) throw new Error(`Unsupported selector in the DOM shim: ${selector}`);
+      const [, name, op] = attr;
+      const expected = attr[3] ?? attr[4] ?? attr[5];
+      tests.push(node => {
+        const value = node.getAttribute(name);
+        if (value === null) return false;
+        if (!op) return true;
+        if (op === '=') return value === expected;
+        if (op === '^=') return value.startsWith(expected);
+        if (op === '$=') return value.endsWith(expected);
+        return value.includes(expected);
+      });
+    }
+  }
+  return node => node.nodeType === Node.ELEMENT_NODE && tests.every(test => test(node));
+}
+
+const document = {
+  createElement: tagName => new ShimElement(tagName),
+  createTextNode: data => new ShimText(data),
+  createDocumentFragment: () => new ShimFragment()
+};
+
+// Runs extension scripts the way the manifest does: one shared global scope, in order
+function loadScripts(...files) {
+  return loadScriptsWith({}, ...files);
+}
+
+// The same with extra or replaced globals (an extension API, window.location, fetch)
+function loadScriptsWith(globals, ...files) {
+  const context = vm.createContext({
+    document, Node, console, crypto: globalThis.crypto, TextEncoder, TextDecoder, Blob, Response,
+    CompressionStream, DecompressionStream, atob, btoa, ...globals
+  });
+  files.forEach(file => {
+    const filename = path.join(__dirname, '..', file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  });
+  return context;
+}
+
+module.exports = { Node, document, loadScripts, loadScriptsWith };
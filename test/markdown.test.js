@@ -0,0 +1,81 @@
+// Message HTML captured from each platform (test/fixtures/markdown/<platform>-<case>.html, trimmed of
+// unrelated page chrome) against the Markdown expected from htmlToMarkdown (<platform>-<case>.md),
+// and markdownToHtml on the Markdown the API extractors receive.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadScripts } = require('./dom-shim');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'markdown');
+const { htmlToMarkdown, markdownToHtml } = loadScripts('math.js', 'markdown.js');
+
+fs.readdirSync(FIXTURE_DIR).filter(name => name.endsWith('.html')).sort().forEach(name => {
+  const fixture = name.slice(0, -'.html'.length);
+  test(`htmlToMarkdown: ${fixture}`, () => {
+    const html = fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8');
+    const expected = fs.readFileSync(path.join(FIXTURE_DIR, `${fixture}.md`), 'utf8');
+    assert.equal(htmlToMarkdown(html), expected.trimEnd());
+  });
+});
+
+test('markdownToHtml: script links and images keep only their text', () => {
+  assert.equal(markdownToHtml('[click](javascript:alert%281%29) and [ok](https://example.com)'),
+    '<p>click and <a href="https://example.com">ok</a></p>');
+  assert.equal(markdownToHtml('![pic](JavaScript:void%280%29) [x](vbscript:msgbox)'), '<p>pic x</p>');
+  assert.equal(markdownToHtml('- [item](javascript:run%28%29)'), '<ul><li>item</li></ul>');
+});
+
+test('markdownToHtml: emphasis and links stay literal inside code spans', () => {
+  assert.equal(markdownToHtml('Use `a**b**c` and `*args` with **bold**'),
+    '<p>Use <code>a**b**c</code> and <code>*args</code> with <strong>bold</strong></p>');
+  assert.equal(markdownToHtml('`[x](https://example.com)` vs [`code`](https://example.com)'),
+    '<p><code>[x](https://example.com)</code> vs <a href="https://example.com"><code>code</code></a></p>');
+  assert.equal(markdownToHtml('# Title with `<tag>`'), '<h1>Title with <code>&lt;tag&gt;</code></h1>');
+});
+
+test('markdownToHtml: GFM tables with alignment and escaped pipes', () => {
+  assert.equal(markdownToHtml('| Name | Count |\n|:--|--:|\n| `a\\|b` | **2** |\n| c |'),
+    '<table><thead><tr><th align="left">Name</th><th align="right">Count</th></tr></thead>' +
+    '<tbody><tr><td align="left"><code>a|b</code></td><td align="right"><strong>2</strong></td></tr>' +
+    '<tr><td align="left">c</td><td align="right"></td></tr></tbody></table>');
+});
+
+test('markdownToHtml: nested lists stay inside their parent item', () => {
+  assert.equal(markdownToHtml('1. One\n   - a\n   - b\n2. Two\n    1. deep'),
+    '<ol><li>One<ul><li>a</li><li>b</li></ul></li><li>Two<ol><li>deep</li></ol></li></ol>');
+  assert.equal(markdownToHtml('3. **Step**\n\n   Details\n\n4. Next'),
+    '<ol start="3"><li><p><strong>Step</strong></p><p>Details</p></li><li><p>Next</p></li></ol>');
+});
+
+test('markdownToHtml: underscore emphasis outside words', () => {
+  assert.equal(markdownToHtml('_em_, __strong__ and *em* but snake_case_name'),
+    '<p><em>em</em>, <strong>strong</strong> and <em>em</em> but snake_case_name</p>');
+});
+
+test('markdownToHtml: a fence closes only on a fence at least as long', () => {
+  assert.equal(markdownToHtml('````md\n```js\nlet x;\n```\n````\nafter'),
+    '<pre><code class="language-md">```js\nlet x;\n```</code></pre><p>after</p>');
+  assert.equal(markdownToHtml('~~~\nnever closed\n```'), '<pre><code>never closed\n```</code></pre>');
+});
+
+test('markdownToHtml: TeX becomes MathML with its source as annotation', () => {
+  assert.equal(markdownToHtml('Area \\(\\pi r^2\\) costs $5 or $10'),
+    '<p>Area <math><semantics><mrow><mi>π</mi><msup><mi>r</mi><mn>2</mn></msup></mrow>' +
+    '<annotation encoding="application/x-tex">\\pi r^2</annotation></semantics></math> costs $5 or $10</p>');
+  assert.equal(markdownToHtml('$$\n\\frac{a}{b}\n$$'),
+    '<div><math display="block"><semantics><mrow><mfrac><mrow><mi>a</mi></mrow><mrow><mi>b</mi></mrow></mfrac></mrow>' +
+    '<annotation encoding="application/x-tex">\\frac{a}{b}</annotation></semantics></math></div>');
+  assert.equal(markdownToHtml('\\[\\sum_{i=1}^{n} x_i\\]'),
+    '<div><math display="block"><semantics><mrow><munderover><mo largeop="true">∑</mo><mrow><mi>i</mi><mo>=</mo><mn>1</mn></mrow>' +
+    '<mrow><mi>n</mi></mrow></munderover><msub><mi>x</mi><mi>i</mi></msub></mrow>' +
+    '<annotation encoding="application/x-tex">\\sum_{i=1}^{n} x_i</annotation></semantics></math></div>');
+  assert.equal(markdownToHtml('`$x$` and \\$y\\$'), '<p><code>$x$</code> and $y$</p>');
+});
+
+test('markdownToHtml: matrices and delimiters', () => {
+  assert.match(markdownToHtml('$\\begin{pmatrix} 1 & 2 \\\\ 3 & 4 \\end{pmatrix}$'),
+    /<mrow><mo fence="true">\(<\/mo><mtable><mtr><mtd><mn>1<\/mn><\/mtd><mtd><mn>2<\/mn><\/mtd><\/mtr><mtr><mtd><mn>3<\/mn><\/mtd><mtd><mn>4<\/mn><\/mtd><\/mtr><\/mtable><mo fence="true">\)<\/mo><\/mrow>/);
+  assert.match(markdownToHtml('$\\left( x \\right]$'), /<mrow><mo fence="true">\(<\/mo><mi>x<\/mi><mo fence="true">]<\/mo><\/mrow>/);
+});
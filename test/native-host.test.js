@@ -0,0 +1,249 @@
+// Drives native-host/save_file.js over stdin/stdout the way Chrome does: 4-byte little-endian
+// length prefixes in both directions. Run with `node --test`.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const HOST = path.join(__dirname, '..', 'native-host', 'save_file.js');
+
+const tempDirs = [];
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aichatdl-host-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// Every file below dir, relative to it
+function listFiles(dir) {
+  return fs.readdirSync(dir, { recursive: true })
+    .filter(name => fs.statSync(path.join(dir, name)).isFile())
+    .map(name => name.split(path.sep).join('/'))
+    .sort();
+}
+
+function encodeFrame(msg) {
+  const body = Buffer.from(JSON.stringify(msg), 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(body.length, 0);
+  return Buffer.concat([header, body]);
+}
+
+// Starts the host; replies are matched to requests by id and keep their raw frame for framing checks
+function startHost(env = {}) {
+  const child = spawn(process.execPath, [HOST], { env: { ...process.env, HOME: makeTempDir(), ...env } });
+  const pending = new Map();
+  let nextId = 0;
+  let buffer = Buffer.alloc(0);
+  let stderr = '';
+
+  child.stdout.on('data', data => {
+    buffer = Buffer.concat([buffer, data]);
+    while (buffer.length >= 4) {
+      const length = buffer.readUInt32LE(0);
+      if (buffer.length < 4 + length) break;
+      const body = buffer.subarray(4, 4 + length);
+      buffer = buffer.subarray(4 + length);
+      const reply = JSON.parse(body.toString('utf8'));
+      const resolve = pending.get(reply.id);
+      pending.delete(reply.id);
+      if (resolve) resolve({ reply, length, body });
+    }
+  });
+  child.stderr.on('data', data => { stderr += data; });
+  const exited = new Promise(resolve => child.on('exit', code => resolve({ code, stderr })));
+
+  return {
+    child,
+    exited,
+    frame(msg) {
+      const id = ++nextId;
+      return new Promise(resolve => {
+        pending.set(id, resolve);
+        child.stdin.write(encodeFrame({ ...msg, id }));
+      });
+    },
+    async request(msg) {
+      return (await this.frame(msg)).reply;
+    },
+    close() {
+      child.stdin.end();
+      return exited;
+    }
+  };
+}
+
+test('reply length prefix counts UTF-8 bytes of multibyte paths', async () => {
+  const baseDir = makeTempDir();
+  const host = startHost();
+  const { reply, length, body } = await host.frame({
+    action: 'write', baseDir, dirName: 'Ünïcödé 日本語', fileName: 'チャット 😀.md', content: '## User:\nこんにちは\n'
+  });
+  await host.close();
+
+  assert.equal(reply.success, true);
+  assert.equal(length, body.length);
+  assert.ok(length > JSON.stringify(reply).length, 'the reply holds multibyte characters');
+  assert.equal(reply.path, path.join(baseDir, 'Ünïcödé 日本語', 'チャット 😀.md'));
+  assert.equal(fs.readFileSync(reply.path, 'utf8'), '## User:\nこんにちは\n');
+});
+
+test('paths that leave the output directory are refused', async () => {
+  const root = makeTempDir();
+  const baseDir = path.join(root, 'archive');
+  const host = startHost();
+  const attempts = [
+    { dirName: '../outside', fileName: 'x.md' },
+    { dirName: 'chat', fileName: '../../outside.md' },
+    { dirName: '..', fileName: 'x.md' },
+    { dirName: path.join(root, 'abs'), fileName: 'x.md' },
+    { dirName: 'chat', fileName: 'a\0b.md' }
+  ];
+  for (const attempt of attempts) {
+    const reply = await host.request({ action: 'write', baseDir, content: 'nope', ...attempt });
+    assert.equal(reply.success, false, JSON.stringify(attempt));
+  }
+  const exists = await host.request({ action: 'checkExists', baseDir, dirName: '..', fileName: 'archive' });
+  assert.equal(exists.success, false);
+  await host.close();
+
+  assert.deepEqual(listFiles(root), []);
+});
+
+test('a symlinked folder leading outside is refused', async () => {
+  const root = makeTempDir();
+  const baseDir = path.join(root, 'archive');
+  fs.mkdirSync(baseDir);
+  fs.mkdirSync(path.join(root, 'outside'));
+  fs.symlinkSync(path.join(root, 'outside'), path.join(baseDir, 'link'));
+  const host = startHost();
+  const reply = await host.request({ action: 'write', baseDir, dirName: 'link', fileName: 'x.md', content: 'nope' });
+  await host.close();
+
+  assert.equal(reply.success, false);
+  assert.deepEqual(fs.readdirSync(path.join(root, 'outside')), []);
+});
+
+test('a frame over the 16 MiB message limit closes the connection', async () => {
+  const host = startHost();
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(16 * 1024 * 1024 + 1, 0);
+  host.child.stdin.write(header);
+  const { code, stderr } = await host.exited;
+
+  assert.equal(code, 1);
+  assert.match(stderr, /exceeds the 16777216 byte limit/);
+});
+
+test('per-file and per-connection size caps', async () => {
+  const baseDir = makeTempDir();
+  const host = startHost({ AICHATDL_MAX_FILE_BYTES: '10', AICHATDL_MAX_TOTAL_BYTES: '15' });
+
+  const tooBig = await host.request({ action: 'write', baseDir, dirName: 'a', fileName: 'big.txt', content: 'x'.repeat(11) });
+  assert.equal(tooBig.success, false);
+  assert.match(tooBig.error, /File exceeds the 10 byte limit/);
+
+  const chunked = await host.request({ action: 'writeChunk', baseDir, dirName: 'a', fileName: 'chunked.txt', data: 'x'.repeat(6), final: false });
+  assert.equal(chunked.success, true);
+  const overflow = await host.request({ action: 'writeChunk', baseDir, dirName: 'a', fileName: 'chunked.txt', data: 'x'.repeat(6), final: true });
+  assert.equal(overflow.success, false);
+
+  const first = await host.request({ action: 'write', baseDir, dirName: 'b', fileName: 'one.txt', content: 'x'.repeat(8) });
+  assert.equal(first.success, true);
+  const second = await host.request({ action: 'write', baseDir, dirName: 'b', fileName: 'two.txt', content: 'x'.repeat(8) });
+  assert.equal(second.success, false);
+  assert.match(second.error, /Batch exceeds the 15 byte limit/);
+  await host.close();
+
+  assert.deepEqual(listFiles(baseDir), ['b/one.txt']);
+});
+
+test('chunks go to a temp file that is renamed into place on the final chunk', async () => {
+  const baseDir = makeTempDir();
+  const host = startHost();
+  const binary = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255, 10, 13]);
+  const base64 = binary.toString('base64');
+  const text = 'before 😀 after';
+  const split = text.indexOf('😀') + 1;
+
+  // Base64 cut inside a 4-character group, text cut inside a surrogate pair
+  await host.request({ action: 'writeChunk', baseDir, dirName: 'chat', fileName: 'img.bin', data: base64.slice(0, 5), encoding: 'base64', final: false });
+  await host.request({ action: 'writeChunk', baseDir, dirName: 'chat', fileName: 'chat.txt', data: text.slice(0, split), final: false });
+  assert.equal(fs.existsSync(path.join(baseDir, 'chat', 'img.bin')), false);
+  assert.equal(fs.existsSync(path.join(baseDir, 'chat', 'chat.txt')), false);
+  assert.equal(listFiles(baseDir).filter(name => name.endsWith('.tmp')).length, 2);
+
+  const image = await host.request({ action: 'writeChunk', baseDir, dirName: 'chat', fileName: 'img.bin', data: base64.slice(5), encoding: 'base64', final: true });
+  const transcript = await host.request({ action: 'writeChunk', baseDir, dirName: 'chat', fileName: 'chat.txt', data: text.slice(split), final: true });
+  await host.close();
+
+  assert.deepEqual(fs.readFileSync(image.path), binary);
+  assert.equal(fs.readFileSync(transcript.path, 'utf8'), text);
+  assert.deepEqual(listFiles(path.join(baseDir, 'chat')), ['chat.txt', 'img.bin']);
+});
+
+test('an unfinished chunk stream leaves no partial file behind', async () => {
+  const baseDir = makeTempDir();
+  fs.mkdirSync(path.join(baseDir, 'chat'));
+  fs.writeFileSync(path.join(baseDir, 'chat', 'chat.md'), 'previous version');
+  const host = startHost();
+  const reply = await host.request({ action: 'writeChunk', baseDir, dirName: 'chat', fileName: 'chat.md', data: 'half of the new', final: false });
+  assert.equal(reply.status, 'chunk_received');
+  const { code } = await host.close();
+
+  assert.equal(code, 0);
+  assert.deepEqual(listFiles(baseDir), ['chat/chat.md']);
+  assert.equal(fs.readFileSync(path.join(baseDir, 'chat', 'chat.md'), 'utf8'), 'previous version');
+});
+
+test('the same relative path under two output directories is written separately', async () => {
+  const first = makeTempDir();
+  const second = makeTempDir();
+  const host = startHost();
+  const chunk = (baseDir, data, final) => host.request({ action: 'writeChunk', baseDir, dirName: 'chat', fileName: 'chat.txt', data, final });
+
+  await chunk(first, 'first ', false);
+  await chunk(second, 'second ', false);
+  await chunk(first, 'archive', true);
+  await chunk(second, 'archive', true);
+  await host.close();
+
+  assert.equal(fs.readFileSync(path.join(first, 'chat', 'chat.txt'), 'utf8'), 'first archive');
+  assert.equal(fs.readFileSync(path.join(second, 'chat', 'chat.txt'), 'utf8'), 'second archive');
+});
+
+test('the search index is saved without temp files and found by the search action', async () => {
+  const baseDir = makeTempDir();
+  const host = startHost();
+  await host.request({ action: 'write', baseDir, dirName: 'chat', fileName: 'chat.md', content: '## User:\nsourdough starter\n\n## AI:\nfeed it daily\n\n' });
+  const result = await host.request({ action: 'search', baseDir, query: { text: 'sourdough' } });
+  await host.close();
+
+  assert.equal(result.total, 1);
+  assert.equal(result.results[0].path, path.join(baseDir, 'chat', 'chat.md'));
+  assert.deepEqual(listFiles(baseDir), ['.aichatdl-index.json', 'chat/chat.md']);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(baseDir, '.aichatdl-index.json'), 'utf8')).paths['chat/chat.md'], 1);
+});
+
+test('without an output directory, an existing pre-settings folder stays the default', async () => {
+  const legacyHome = makeTempDir();
+  const legacyDir = path.join(legacyHome, 'Documents', 'code', 'AutoNateAI_Workspace', 'chatgpt-convos');
+  fs.mkdirSync(legacyDir, { recursive: true });
+  const freshHome = makeTempDir();
+
+  for (const home of [legacyHome, freshHome]) {
+    const host = startHost({ HOME: home });
+    await host.request({ action: 'write', dirName: 'chat', fileName: 'chat.txt', content: 'hello' });
+    await host.close();
+  }
+
+  assert.deepEqual(listFiles(legacyDir), ['chat/chat.txt']);
+  assert.equal(fs.existsSync(path.join(legacyHome, 'Documents', 'AI Chats')), false);
+  assert.deepEqual(listFiles(path.join(freshHome, 'Documents', 'AI Chats')), ['chat/chat.txt']);
+});
@@ -0,0 +1,23 @@
+// Rendering of structured message parts in each export format
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./dom-shim');
+
+const { renderPartAsHtml, renderPartAsMarkdown } = loadScripts('math.js', 'markdown.js', 'parts.js');
+
+const citations = {
+  type: 'citations',
+  sources: [
+    { title: 'Docs <v2>', url: 'https://example.com/docs?a=1&b=2' },
+    { title: 'Trap', url: ' JavaScript:alert(document.cookie)' }
+  ]
+};
+
+test('citations with script URLs keep their title without a link', () => {
+  const html = renderPartAsHtml(citations);
+
+  assert.match(html, /<li><a href="https:\/\/example\.com\/docs\?a=1&amp;b=2">Docs &lt;v2&gt;<\/a><\/li><li>Trap<\/li><\/ol>/);
+  assert.doesNotMatch(html, /javascript/i);
+  assert.match(renderPartAsMarkdown(citations), /1\. \[Docs <v2>\]\(https:\/\/example\.com\/docs\?a=1&b=2\)\n2\. Trap$/);
+});
@@ -0,0 +1,110 @@
+// zip.js: archives written by createZip / createZipWriter read back through openZip, also when
+// they use the ZIP64 records that large data exports carry
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./dom-shim');
+
+const { createZip, createZipWriter, openZip } = loadScripts('zip.js');
+
+const text = bytes => new TextDecoder().decode(bytes);
+
+// Rewrites an archive from createZip (no extra fields or comments) the way ZIP64 writers lay it
+// out: sizes and offsets in the central directory become 0xffffffff with the real values in a
+// ZIP64 extra field, and a ZIP64 end record and locator come before the end record.
+function toZip64(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  const count = view.getUint16(end + 10, true);
+  const centralOffset = view.getUint32(end + 16, true);
+  const parts = [bytes.subarray(0, centralOffset)];
+  let centralSize = 0;
+
+  for (let i = 0, pos = centralOffset; i < count; i++) {
+    const nameLength = view.getUint16(pos + 28, true);
+    const header = new Uint8Array(bytes.subarray(pos, pos + 46 + nameLength));
+    const headerView = new DataView(header.buffer);
+    const extra = new DataView(new ArrayBuffer(28));
+    extra.setUint16(0, 0x0001, true);
+    extra.setUint16(2, 24, true);
+    extra.setBigUint64(4, BigInt(headerView.getUint32(24, true)), true);
+    extra.setBigUint64(12, BigInt(headerView.getUint32(20, true)), true);
+    extra.setBigUint64(20, BigInt(headerView.getUint32(42, true)), true);
+    [20, 24, 42].forEach(offset => headerView.setUint32(offset, 0xffffffff, true));
+    headerView.setUint16(30, 28, true);
+    parts.push(header, new Uint8Array(extra.buffer));
+    centralSize += header.length + 28;
+    pos += 46 + nameLength;
+  }
+
+  const recordOffset = centralOffset + centralSize;
+  const record = new DataView(new ArrayBuffer(56));
+  record.setUint32(0, 0x06064b50, true);
+  record.setBigUint64(4, 44n, true);
+  record.setBigUint64(24, BigInt(count), true);
+  record.setBigUint64(32, BigInt(count), true);
+  record.setBigUint64(40, BigInt(centralSize), true);
+  record.setBigUint64(48, BigInt(centralOffset), true);
+  const locator = new DataView(new ArrayBuffer(20));
+  locator.setUint32(0, 0x07064b50, true);
+  locator.setBigUint64(8, BigInt(recordOffset), true);
+  locator.setUint32(16, 1, true);
+  const endRecord = new DataView(new ArrayBuffer(22));
+  endRecord.setUint32(0, 0x06054b50, true);
+  endRecord.setUint16(8, 0xffff, true);
+  endRecord.setUint16(10, 0xffff, true);
+  endRecord.setUint32(12, 0xffffffff, true);
+  endRecord.setUint32(16, 0xffffffff, true);
+  parts.push(new Uint8Array(record.buffer), new Uint8Array(locator.buffer), new Uint8Array(endRecord.buffer));
+  return new Blob(parts);
+}
+
+const FILES = [
+  { path: 'conversations.json', data: JSON.stringify([{ title: 'Zip test', text: 'x'.repeat(2000) }]) },
+  { path: 'dalle-generations/file-abc123-photo.png', data: new Uint8Array([137, 80, 78, 71, 0, 255, 1, 2]) },
+  { path: 'Ünïcödé/chat.md', data: '## User:\nこんにちは\n' }
+];
+
+async function assertEntries(blob) {
+  const archive = await openZip(blob);
+  assert.deepEqual(Array.from(archive.entries.keys()), FILES.map(file => file.path));
+  assert.equal(text(await archive.read('conversations.json')), FILES[0].data);
+  assert.deepEqual(Array.from(await archive.read('dalle-generations/file-abc123-photo.png')), Array.from(FILES[1].data));
+  assert.equal(text(await archive.read('Ünïcödé/chat.md')), FILES[2].data);
+}
+
+test('createZip output reads back through openZip', async () => {
+  await assertEntries(await createZip(FILES));
+});
+
+test('ZIP64 archives are read from their ZIP64 records', async () => {
+  const zip64 = toZip64(new Uint8Array(await (await createZip(FILES)).arrayBuffer()));
+  await assertEntries(zip64);
+});
+
+test('the incremental writer matches createZip', async () => {
+  const writer = createZipWriter();
+  for (const file of FILES) await writer.add(file.path, file.data);
+  const archive = writer.finish();
+  assert.equal(archive.type, 'application/zip');
+  await assertEntries(archive);
+});
+
+test('a file that is not a ZIP is refused', async () => {
+  await assert.rejects(openZip(new Blob(['just text'])), /not a ZIP file/);
+});
+
+test('the writer stops at the last entry count and size a plain ZIP can hold', async () => {
+  // Stored entries keep 65534 additions fast
+  const context = loadScripts('zip.js');
+  delete context.CompressionStream;
+  const writer = context.createZipWriter();
+  for (let i = 0; i < 0xfffe; i++) await writer.add(`f${i}`, '');
+
+  await assert.rejects(writer.add('one-too-many', ''), /at most 65534 files/);
+  const archive = await openZip(writer.finish());
+  assert.equal(archive.entries.size, 0xfffe);
+
+  // Only the length is looked at before the refusal, so a stand-in spares allocating 4 GB
+  await assert.rejects(createZipWriter().add('huge.bin', { length: 0xffffffff }), /too large for a ZIP archive/);
+});
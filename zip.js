@@ -0,0 +1,224 @@
+// Minimal ZIP writer for batch archives and reader for imported data exports. Entries are
+// deflated with CompressionStream where the browser has it and stored uncompressed otherwise.
+// Archives are written without ZIP64, so the writer refuses to go past 4 GB or 65534 entries
+// rather than produce a corrupt file; ZIP64 archives, which large data exports are, can be read.
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// Without ZIP64, counts are 16-bit and sizes and offsets 32-bit; the all-ones values tell readers
+// to look in ZIP64 records instead, so they are out of bounds too
+const ZIP_MAX_ENTRIES = 0xfffe;
+const ZIP_MAX_BYTES = 0xfffffffe;
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function deflateRaw(bytes) {
+  if (typeof CompressionStream === 'undefined') return null;
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Adds entries one at a time and keeps only their compressed bytes, as Blobs the browser may
+// move to disk, so the caller can let go of each file as soon as it is added.
+// add(path, data) takes a string (written as UTF-8) or a Uint8Array; finish() returns the archive.
+function createZipWriter() {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  const add = async (path, fileData) => {
+    if (localParts.length >= ZIP_MAX_ENTRIES) throw new Error(`ZIP archives hold at most ${ZIP_MAX_ENTRIES} files`);
+    const name = encoder.encode(path);
+    const data = typeof fileData === 'string' ? encoder.encode(fileData) : fileData;
+    if (data.length > ZIP_MAX_BYTES) throw new Error(`${path} is too large for a ZIP archive (4 GB at most)`);
+    const crc = crc32(data);
+    const deflated = await deflateRaw(data);
+    const compress = Boolean(deflated && deflated.length < data.length);
+    const body = compress ? deflated : data;
+    // The central directory that follows must start within 4 GB as well
+    if (offset + 30 + name.length + body.length > ZIP_MAX_BYTES) throw new Error('ZIP archive would exceed 4 GB');
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, compress ? 8 : 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, body.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    localParts.push(new Blob([local.buffer, name, body]));
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, compress ? 8 : 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, body.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + body.length;
+  };
+
+  const finish = () => {
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    if (centralSize > ZIP_MAX_BYTES) throw new Error('ZIP archive would exceed 4 GB');
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, localParts.length, true);
+    end.setUint16(10, localParts.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+  };
+
+  return { add, finish };
+}
+
+// files: [{ path, data }] as for createZipWriter; resolves to the archive as a Blob
+async function createZip(files) {
+  const writer = createZipWriter();
+  for (const file of files) await writer.add(file.path, file.data);
+  return writer.finish();
+}
+
+// Fields too large for the central directory are 0xffffffff there and follow, in this order,
+// in the ZIP64 extra field
+function readZip64Extra(extra, entry) {
+  for (let pos = 0; pos + 4 <= extra.byteLength; pos += 4 + extra.getUint16(pos + 2, true)) {
+    if (extra.getUint16(pos, true) !== 0x0001) continue;
+    let field = pos + 4;
+    ['size', 'compressedSize', 'offset'].forEach(key => {
+      if (entry[key] !== 0xffffffff) return;
+      entry[key] = Number(extra.getBigUint64(field, true));
+      field += 8;
+    });
+    return;
+  }
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Lists the entries of a ZIP file from its central directory. Entry data is only read when
+// asked for, so large exports are never loaded into memory whole.
+async function openZip(blob) {
+  const tailSize = Math.min(blob.size, 22 + 0xffff);
+  const tail = new DataView(await blob.slice(blob.size - tailSize).arrayBuffer());
+  let end = -1;
+  for (let i = tailSize - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('not a ZIP file');
+
+  let centralSize = tail.getUint32(end + 12, true);
+  let centralOffset = tail.getUint32(end + 16, true);
+  // ZIP64: a locator right before the end record points at a record with 64-bit sizes
+  if (end >= 20 && tail.getUint32(end - 20, true) === 0x07064b50) {
+    const recordOffset = Number(tail.getBigUint64(end - 12, true));
+    const record = new DataView(await blob.slice(recordOffset, recordOffset + 56).arrayBuffer());
+    if (record.getUint32(0, true) !== 0x06064b50) throw new Error('damaged ZIP64 end of central directory');
+    centralSize = Number(record.getBigUint64(40, true));
+    centralOffset = Number(record.getBigUint64(48, true));
+  }
+  const central = new DataView(await blob.slice(centralOffset, centralOffset + centralSize).arrayBuffer());
+  const decoder = new TextDecoder();
+
+  const entries = new Map();
+  for (let pos = 0; pos + 46 <= central.byteLength && central.getUint32(pos, true) === 0x02014b50;) {
+    const nameLength = central.getUint16(pos + 28, true);
+    const extraLength = central.getUint16(pos + 30, true);
+    const path = decoder.decode(new Uint8Array(central.buffer, pos + 46, nameLength));
+    const entry = {
+      path,
+      method: central.getUint16(pos + 10, true),
+      compressedSize: central.getUint32(pos + 20, true),
+      size: central.getUint32(pos + 24, true),
+      offset: central.getUint32(pos + 42, true)
+    };
+    readZip64Extra(new DataView(central.buffer, pos + 46 + nameLength, extraLength), entry);
+    entries.set(path, entry);
+    pos += 46 + nameLength + extraLength + central.getUint16(pos + 32, true);
+  }
+
+  const read = async path => {
+    const entry = entries.get(path);
+    if (!entry) throw new Error(`${path} is not in the archive`);
+    const local = new DataView(await blob.slice(entry.offset, entry.offset + 30).arrayBuffer());
+    const start = entry.offset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+    const data = new Uint8Array(await blob.slice(start, start + entry.compressedSize).arrayBuffer());
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return inflateRaw(data);
+    throw new Error(`${path} uses unsupported compression method ${entry.method}`);
+  };
+
+  return { entries, read };
+}
+
+// index.md of an archive: one row per saved chat with a link to its file
+function buildZipIndex(results) {
+  const escapeCell = text => String(text).replace(/\|/g, '\\|');
+  const rows = results
+    .filter(result => result.success && result.file)
+    .map(result => `| ${escapeCell(result.title)} | ${result.url} | ${result.messageCount} | [${escapeCell(result.file)}](${encodeURI(result.file)}) |`);
+  return [
+    '# AI Chat Downloader archive',
+    '',
+    `Created ${new Date().toISOString()}`,
+    '',
+    '| Title | URL | Messages | File |',
+    '| --- | --- | --- | --- |',
+    ...rows,
+    ''
+  ].join('\n');
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}